@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   redis: {
@@ -10,10 +11,39 @@ module.exports = {
   app: {
     port: parseInt(process.env.PORT) || 3000,
     env: process.env.NODE_ENV || 'development',
+    shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000,
+    // Maximum JSON request body size (express/body-parser format)
+    bodyLimit: process.env.BODY_LIMIT || '1mb',
+    // Comma-separated API keys; authentication is disabled when empty
+    apiKeys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
   },
   queue: {
     maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 5,
     removeOnComplete: parseInt(process.env.REMOVE_ON_COMPLETE) || 100,
     removeOnFail: parseInt(process.env.REMOVE_ON_FAIL) || 50,
-  }
+    configFile: process.env.QUEUE_CONFIG_FILE || path.join(__dirname, 'queues.config.json'),
+    // Maximum jobs per bulk submission request
+    maxBulkJobs: parseInt(process.env.MAX_BULK_JOBS) || 1000,
+    // How long an Idempotency-Key deduplicates repeated submissions (ms)
+    idempotencyTtl: parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60 * 1000,
+    processorsDir: process.env.PROCESSORS_DIR || path.join(__dirname, 'src/processors/demo'),
+  },
+  scheduler: {
+    configFile: process.env.SCHEDULES_CONFIG_FILE || path.join(__dirname, 'schedules.config.json'),
+    // Log the boot-time schedule diff without applying it
+    dryRun: process.env.SCHEDULES_DRY_RUN === 'true',
+    // IANA time zone of cron schedules that do not set their own; unset keeps the server's local time
+    defaultTimezone: process.env.SCHEDULES_DEFAULT_TZ || undefined,
+    // Runs kept per schedule, and for how long (ms)
+    historyLimit: parseInt(process.env.SCHEDULE_HISTORY_LIMIT) || 100,
+    historyMaxAge: parseInt(process.env.SCHEDULE_HISTORY_MAX_AGE) || 30 * 24 * 60 * 60 * 1000,
+    // How long a firing may take to complete before it is reported as missed (ms)
+    missedRunGrace: parseInt(process.env.SCHEDULE_MISSED_RUN_GRACE) || 5 * 60 * 1000,
+    missedRunCheckInterval: parseInt(process.env.SCHEDULE_MISSED_RUN_CHECK_INTERVAL) || 60000,
+  },
+  monitor: {
+    metricsRetentionHours: parseInt(process.env.METRICS_RETENTION_HOURS) || 24,
+    maxSamplesPerMinute: parseInt(process.env.METRICS_MAX_SAMPLES_PER_MINUTE) || 500,
+    streamSnapshotInterval: parseInt(process.env.STREAM_SNAPSHOT_INTERVAL) || 5000,
+  },
 };
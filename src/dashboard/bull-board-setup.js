@@ -1,7 +1,8 @@
 const { createBullBoard } = require('@bull-board/api');
 const { BullMQAdapter } = require('@bull-board/api/bullMQAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
-const { getQueues } = require('../queues/setup');
+const { getQueue } = require('../queues/setup');
+const { getQueueDefinitions } = require('../queues/registry');
 const chalk = require('chalk');
 
 let serverAdapter;
@@ -15,13 +16,11 @@ function setupBullBoard() {
     serverAdapter = new ExpressAdapter();
     serverAdapter.setBasePath('/admin/queues');
 
-    // Get all queues from our setup
-    const queues = getQueues();
-    
-    // Create adapters for each queue
-    const queueAdapters = Object.entries(queues).map(([name, queue]) => {
+    // Create adapters for each registered queue
+    const queueAdapters = getQueueDefinitions().map(definition => {
+      const queue = getQueue(definition.alias);
       if (queue) {
-        return new BullMQAdapter(queue);
+        return createAdapter(queue, definition);
       }
       return null;
     }).filter(Boolean);
@@ -43,10 +42,18 @@ function setupBullBoard() {
   }
 }
 
-function addQueueToDashboard(queue, name) {
+// Create a Bull Board adapter labelled from the queue definition
+function createAdapter(queue, definition = {}) {
+  return new BullMQAdapter(queue, {
+    displayName: definition.label,
+    description: definition.description,
+  });
+}
+
+function addQueueToDashboard(queue, name, definition) {
   try {
     if (bullBoard && queue) {
-      const adapter = new BullMQAdapter(queue);
+      const adapter = createAdapter(queue, definition);
       bullBoard.addQueue(adapter);
       console.log(chalk.green(`✅ Added queue '${name}' to Bull Board dashboard`));
     }
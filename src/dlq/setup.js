@@ -0,0 +1,214 @@
+const { Queue } = require('bullmq');
+const config = require('../../config');
+const chalk = require('chalk');
+const { getQueueDefinition } = require('../queues/registry');
+const { getQueue } = require('../queues/setup');
+
+// Dead-letter queues keyed by source queue name. They have no worker,
+// so dead-lettered jobs stay in 'waiting' until they are replayed or purged.
+const deadLetterQueues = new Map();
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+  db: config.redis.db,
+};
+
+// Job options that must not be carried over when a job is replayed
+const NON_REPLAYABLE_OPTIONS = ['jobId', 'repeat', 'repeatJobKey', 'parent', 'prevMillis', 'timestamp'];
+
+// Get (and lazily open) the dead-letter queue of a source queue
+function getDeadLetterQueue(queueName) {
+  const definition = getQueueDefinition(queueName);
+  if (!definition || !definition.deadLetter) {
+    return null;
+  }
+
+  if (!deadLetterQueues.has(definition.name)) {
+    deadLetterQueues.set(definition.name, new Queue(definition.deadLetter.queue, { connection }));
+  }
+
+  return deadLetterQueues.get(definition.name);
+}
+
+// Copy a permanently failed job into the dead-letter queue of its source queue
+async function moveToDeadLetter(definition, job) {
+  const deadLetterQueue = getDeadLetterQueue(definition.name);
+  if (!deadLetterQueue) {
+    return null;
+  }
+
+  // BullMQ keeps one stack trace per failed attempt
+  const stacktrace = job.stacktrace || [];
+  const firstAttempt = job.attemptsMade - stacktrace.length + 1;
+  const { logs } = await getQueue(definition.name).getJobLogs(job.id);
+
+  const deadLetter = await deadLetterQueue.add(job.name, {
+    sourceQueue: definition.name,
+    sourceJobId: job.id,
+    name: job.name,
+    data: job.data,
+    opts: job.opts,
+    failedReason: job.failedReason,
+    stacktrace,
+    attemptsMade: job.attemptsMade,
+    attempts: stacktrace.map((stack, index) => ({
+      attempt: firstAttempt + index,
+      error: String(stack).split('\n')[0],
+      stacktrace: stack,
+    })),
+    logs,
+    timestamp: job.timestamp,
+    processedOn: job.processedOn,
+    failedOn: job.finishedOn,
+  }, {
+    // One dead letter per failure, even if several replicas see it. BullMQ rejects integer
+    // custom IDs, and a replayed job that fails again gets a dead letter of its own.
+    jobId: `dl-${job.id}-${job.finishedOn}`,
+    attempts: 1,
+    removeOnComplete: false,
+    removeOnFail: false,
+  });
+
+  // Jobs in a flow stay in place so their parent is not left waiting on a missing child
+  if (!job.parentKey) {
+    await job.remove();
+  }
+
+  console.log(chalk.magenta(`🪦 Job ${job.id} from ${definition.name} moved to dead-letter queue ${deadLetterQueue.name}`));
+  return deadLetter;
+}
+
+function serializeDeadLetter(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    ...job.data,
+    deadLetteredAt: job.timestamp,
+  };
+}
+
+// List dead-lettered jobs, newest first
+async function listDeadLetters(queueName, { offset = 0, limit = 50 } = {}) {
+  const deadLetterQueue = getDeadLetterQueue(queueName);
+  const [jobs, total] = await Promise.all([
+    deadLetterQueue.getJobs(['waiting'], offset, offset + limit - 1, false),
+    deadLetterQueue.getJobCountByTypes('waiting'),
+  ]);
+
+  return {
+    queue: deadLetterQueue.name,
+    jobs: jobs.filter(Boolean).map(serializeDeadLetter),
+    total,
+  };
+}
+
+// Get a single dead-lettered job
+async function getDeadLetter(queueName, jobId) {
+  const job = await getDeadLetterQueue(queueName).getJob(jobId);
+  return job ? serializeDeadLetter(job) : null;
+}
+
+// Add a dead-lettered job back to its source queue, optionally with new data
+async function replayDeadLetter(queueName, jobId, { data } = {}) {
+  const deadLetterQueue = getDeadLetterQueue(queueName);
+  const deadLetter = await deadLetterQueue.getJob(jobId);
+
+  if (!deadLetter) {
+    return null;
+  }
+
+  const { sourceQueue, name, data: originalData, opts } = deadLetter.data;
+  const replayOptions = { ...opts };
+  NON_REPLAYABLE_OPTIONS.forEach(option => delete replayOptions[option]);
+
+  const job = await getQueue(sourceQueue).add(name, data !== undefined ? data : originalData, replayOptions);
+  await deadLetter.remove();
+
+  console.log(chalk.blue(`🔁 Replayed dead letter ${jobId} into ${sourceQueue} as job ${job.id}`));
+  return {
+    deadLetterId: jobId,
+    jobId: job.id,
+    queue: sourceQueue,
+  };
+}
+
+// Replay several dead-lettered jobs ([{ jobId, data }]), or all of them when none are given
+async function replayDeadLetters(queueName, jobs) {
+  let targets = jobs;
+
+  if (!targets) {
+    const deadLetterQueue = getDeadLetterQueue(queueName);
+    const ids = await deadLetterQueue.getRanges(['waiting'], 0, -1, true);
+    targets = ids.map(jobId => ({ jobId }));
+  }
+
+  const results = [];
+  for (const { jobId, data } of targets) {
+    try {
+      const replayed = await replayDeadLetter(queueName, jobId, { data });
+      results.push(replayed
+        ? { ...replayed, status: 'replayed' }
+        : { deadLetterId: jobId, status: 'not-found' });
+    } catch (error) {
+      results.push({ deadLetterId: jobId, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Remove the given dead-lettered jobs, or empty the dead-letter queue
+async function purgeDeadLetters(queueName, jobIds) {
+  const deadLetterQueue = getDeadLetterQueue(queueName);
+
+  if (!jobIds) {
+    const purged = await deadLetterQueue.getJobCountByTypes('waiting');
+    await deadLetterQueue.drain();
+    return { purged };
+  }
+
+  let purged = 0;
+  for (const jobId of jobIds) {
+    purged += await deadLetterQueue.remove(jobId);
+  }
+  return { purged };
+}
+
+// Close the dead-letter queue connection of a source queue
+async function closeDeadLetterQueue(queueName) {
+  const definition = getQueueDefinition(queueName);
+  const name = definition ? definition.name : queueName;
+  const deadLetterQueue = deadLetterQueues.get(name);
+
+  if (deadLetterQueue) {
+    deadLetterQueues.delete(name);
+    await deadLetterQueue.close();
+  }
+}
+
+// Clean up dead-letter queue connections
+async function cleanupDeadLetterQueues() {
+  try {
+    for (const [name, deadLetterQueue] of deadLetterQueues) {
+      await deadLetterQueue.close();
+      console.log(chalk.yellow(`🔒 Closed dead-letter queue of ${name}`));
+    }
+    deadLetterQueues.clear();
+  } catch (error) {
+    console.error(chalk.red('❌ Error cleaning up dead-letter queues:'), error);
+  }
+}
+
+module.exports = {
+  getDeadLetterQueue,
+  moveToDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetters,
+  closeDeadLetterQueue,
+  cleanupDeadLetterQueues,
+};
@@ -0,0 +1,143 @@
+const { FlowProducer } = require('bullmq');
+const config = require('../../config');
+const chalk = require('chalk');
+const { getQueueDefinition } = require('../queues/registry');
+const { validateJob, JobValidationError } = require('../jobs/submit');
+
+let flowProducer;
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+  db: config.redis.db,
+};
+
+async function setupFlows() {
+  try {
+    console.log(chalk.blue('🌳 Setting up BullMQ flow producer...'));
+
+    flowProducer = new FlowProducer({ connection });
+
+    console.log(chalk.green('✅ Flow producer setup successfully!'));
+  } catch (error) {
+    console.error(chalk.red('❌ Error setting up flow producer:'), error);
+    throw error;
+  }
+}
+
+// Convert a request flow node (queue aliases, nested children) into a BullMQ FlowJob.
+// Every node is validated like a submitted job; field errors are collected in `errors`
+// with the node's path in front, so one response lists the problems of the whole tree.
+function toFlowJob(node, path = 'root', errors = []) {
+  if (!node || !node.name || !node.queue) {
+    throw new FlowValidationError(`Flow node '${path}' requires a name and a queue`);
+  }
+
+  const definition = getQueueDefinition(node.queue);
+  if (!definition) {
+    throw new FlowValidationError(`Flow node '${path}' references unknown queue '${node.queue}'`);
+  }
+
+  if (node.children !== undefined && !Array.isArray(node.children)) {
+    throw new FlowValidationError(`Flow node '${path}' children must be an array`);
+  }
+
+  try {
+    validateJob(definition, { name: node.name, data: node.data, opts: node.opts });
+  } catch (error) {
+    if (!(error instanceof JobValidationError)) {
+      throw error;
+    }
+    errors.push(...error.errors.map(fieldError => ({ ...fieldError, field: `${path}.${fieldError.field}` })));
+  }
+
+  return {
+    name: node.name,
+    queueName: definition.name,
+    data: node.data || {},
+    opts: {
+      ...definition.defaultJobOptions,
+      ...node.opts,
+    },
+    children: (node.children || []).map((child, index) => toFlowJob(child, `${path}.children[${index}]`, errors)),
+  };
+}
+
+// Add a tree of jobs; children are processed before their parents
+async function addFlow(tree) {
+  const errors = [];
+  const flowJob = toFlowJob(tree, 'root', errors);
+  if (errors.length > 0) {
+    throw new JobValidationError(errors);
+  }
+
+  const flow = await flowProducer.add(flowJob);
+  console.log(chalk.green(`✅ Flow '${tree.name}' added with root job ${flow.job.id}`));
+  return serializeNode(flow, false);
+}
+
+// Get a flow tree with the current state of every node
+async function getFlowTree(queueName, jobId, { depth = 10, maxChildren = 100 } = {}) {
+  const definition = getQueueDefinition(queueName);
+  if (!definition) {
+    return null;
+  }
+
+  const node = await flowProducer.getFlow({
+    id: jobId,
+    queueName: definition.name,
+    depth,
+    maxChildren,
+  });
+
+  if (!node || !node.job) {
+    return null;
+  }
+
+  return serializeNode(node, true);
+}
+
+async function serializeNode(node, withState) {
+  const { job } = node;
+  const definition = getQueueDefinition(job.queueName);
+
+  return {
+    id: job.id,
+    name: job.name,
+    queue: definition ? definition.alias : job.queueName,
+    state: withState ? await job.getState() : undefined,
+    data: job.data,
+    progress: job.progress,
+    returnvalue: job.returnvalue,
+    failedReason: job.failedReason,
+    children: await Promise.all((node.children || []).map(child => serializeNode(child, withState))),
+  };
+}
+
+class FlowValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FlowValidationError';
+  }
+}
+
+// Clean up flow producer
+async function cleanupFlows() {
+  try {
+    if (flowProducer) {
+      await flowProducer.close();
+      console.log(chalk.yellow('🔒 Closed flow producer'));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error cleaning up flow producer:'), error);
+  }
+}
+
+module.exports = {
+  setupFlows,
+  addFlow,
+  getFlowTree,
+  cleanupFlows,
+  FlowValidationError,
+};
@@ -8,26 +8,49 @@ const { setupQueues } = require('./queues/setup');
 const { setupWorkers } = require('./workers/setup');
 const { setupScheduler } = require('./scheduler/setup');
 const { setupMonitor } = require('./monitor/setup');
+const { setupFlows } = require('./flows/setup');
 const { setupBullBoard } = require('./dashboard/bull-board-setup');
+const { setupWebSocket } = require('./websocket/setup');
+const { requireApiKey, requireDashboardKey } = require('./middleware/auth');
+const { gracefulShutdown, rejectWhileDraining, getShutdownState } = require('./lifecycle/shutdown');
 
 // Import API routes
 const queueRoutes = require('./routes/queue-routes');
 const jobRoutes = require('./routes/job-routes');
 const monitorRoutes = require('./routes/monitor-routes');
+const flowRoutes = require('./routes/flow-routes');
+const dlqRoutes = require('./routes/dlq-routes');
+const scheduleRoutes = require('./routes/schedule-routes');
 
 const app = express();
+let server;
 
 // Middleware
+app.use(rejectWhileDraining);
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: config.app.bodyLimit }));
 
 // Routes
+app.use('/api', requireApiKey);
 app.use('/api/queues', queueRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/monitor', monitorRoutes);
+app.use('/api/flows', flowRoutes);
+app.use('/api/dlq', dlqRoutes);
+app.use('/api/schedules', scheduleRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const shutdown = getShutdownState();
+
+  if (shutdown.status === 'draining') {
+    return res.status(503).json({
+      status: 'draining',
+      timestamp: new Date().toISOString(),
+      shutdown,
+    });
+  }
+
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
@@ -44,7 +67,11 @@ app.get('/', (req, res) => {
       health: '/health',
       queues: '/api/queues',
       jobs: '/api/jobs',
-      monitor: '/api/monitor'
+      monitor: '/api/monitor',
+      flows: '/api/flows',
+      deadLetters: '/api/dlq',
+      schedules: '/api/schedules',
+      jobSocket: '/ws/jobs'
     },
     concepts: [
       'Queue Management',
@@ -56,6 +83,7 @@ app.get('/', (req, res) => {
       'Rate Limiting',
       'Concurrency Control',
       'Job Events',
+      'Dead-Letter Queues',
       'Queue Monitoring'
     ]
   });
@@ -75,16 +103,19 @@ async function startApplication() {
     console.log(chalk.yellow('⏰ Setting up scheduler...'));
     await setupScheduler();
     
+    console.log(chalk.yellow('🌳 Setting up flows...'));
+    await setupFlows();
+    
     console.log(chalk.yellow('📊 Setting up monitor...'));
     await setupMonitor();
     
     console.log(chalk.yellow('📈 Setting up Bull Board dashboard...'));
     const bullBoardRouter = setupBullBoard();
-    app.use('/admin/queues', bullBoardRouter);
+    app.use('/admin/queues', requireDashboardKey, bullBoardRouter);
     
     // Start server
     const port = config.app.port;
-    app.listen(port, () => {
+    server = app.listen(port, () => {
       console.log(chalk.green(`✅ Server running on http://localhost:${port}`));
       console.log(chalk.cyan('📚 Available endpoints:'));
       console.log(chalk.cyan(`   - Health: http://localhost:${port}/health`));
@@ -92,8 +123,14 @@ async function startApplication() {
       console.log(chalk.cyan(`   - Queue Management: http://localhost:${port}/api/queues`));
       console.log(chalk.cyan(`   - Job Management: http://localhost:${port}/api/jobs`));
       console.log(chalk.cyan(`   - Monitor: http://localhost:${port}/api/monitor`));
+      console.log(chalk.cyan(`   - Flows: http://localhost:${port}/api/flows`));
+      console.log(chalk.cyan(`   - Dead-Letter Queues: http://localhost:${port}/api/dlq`));
+      console.log(chalk.cyan(`   - Schedules: http://localhost:${port}/api/schedules`));
+      console.log(chalk.cyan(`   - Job WebSocket: ws://localhost:${port}/ws/jobs`));
       console.log(chalk.cyan(`   - Bull Board Dashboard: http://localhost:${port}/admin/queues`));
     });
+
+    setupWebSocket(server);
     
   } catch (error) {
     console.error(chalk.red('❌ Failed to start application:'), error);
@@ -102,14 +139,8 @@ async function startApplication() {
 }
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log(chalk.yellow('\n🛑 Shutting down gracefully...'));
-  process.exit(0);
-});
+process.on('SIGINT', () => gracefulShutdown(server, 'SIGINT'));
 
-process.on('SIGTERM', async () => {
-  console.log(chalk.yellow('\n🛑 Shutting down gracefully...'));
-  process.exit(0);
-});
+process.on('SIGTERM', () => gracefulShutdown(server, 'SIGTERM'));
 
 startApplication();
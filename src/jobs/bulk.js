@@ -0,0 +1,101 @@
+const { matchesJobFilter } = require('./filters');
+const { scanJobs } = require('./scan');
+
+// Most jobs a single bulk request may touch
+const MAX_BULK_JOBS = 10000;
+const DEFAULT_BULK_LIMIT = 1000;
+
+// Most jobs a single bulk request examines, matching or not; the filter runs on each of them
+const MAX_BULK_SCAN = 10000;
+
+// States a bulk action applies to, and how it is applied
+const BULK_ACTIONS = {
+  retry: {
+    states: ['failed'],
+    status: 'retried',
+    apply: job => job.retry('failed'),
+  },
+  promote: {
+    states: ['delayed'],
+    status: 'promoted',
+    apply: job => job.promote(),
+  },
+  remove: {
+    states: ['completed', 'failed', 'delayed', 'waiting', 'prioritized', 'paused', 'waiting-children'],
+    status: 'removed',
+    apply: job => job.remove(),
+  },
+};
+
+// Apply an action to every job of the given states that matches the filter, looking at
+// no more than maxScan jobs. Matching jobs are collected first so the action does not
+// shift the pages being scanned.
+async function runBulkOperation(queue, action, {
+  states,
+  filter = {},
+  limit = DEFAULT_BULK_LIMIT,
+  maxScan = MAX_BULK_SCAN,
+  dryRun = false,
+}) {
+  const { status, apply } = BULK_ACTIONS[action];
+  const max = Math.min(limit, MAX_BULK_JOBS);
+  const scanLimit = Math.min(maxScan, MAX_BULK_SCAN);
+
+  const matched = [];
+  let truncated = false;
+  let scanned = 0;
+  let scanLimitReached = false;
+
+  for await (const { job, state } of scanJobs(queue, states)) {
+    if (scanned >= scanLimit) {
+      scanLimitReached = true;
+      break;
+    }
+    scanned++;
+
+    if (!matchesJobFilter(job, filter)) {
+      continue;
+    }
+    if (matched.length >= max) {
+      truncated = true;
+      break;
+    }
+    matched.push({ job, state });
+  }
+
+  const results = [];
+  for (const { job, state } of matched) {
+    const result = { jobId: job.id, name: job.name, state };
+
+    if (dryRun) {
+      results.push({ ...result, status: `would-be-${status}` });
+      continue;
+    }
+
+    try {
+      await apply(job);
+      results.push({ ...result, status });
+    } catch (error) {
+      results.push({ ...result, status: 'error', error: error.message });
+    }
+  }
+
+  return {
+    action,
+    dryRun,
+    matched: matched.length,
+    scanned,
+    scanLimitReached,
+    succeeded: dryRun ? 0 : results.filter(result => result.status === status).length,
+    failed: results.filter(result => result.status === 'error').length,
+    truncated,
+    results,
+  };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_JOBS,
+  MAX_BULK_SCAN,
+  runBulkOperation,
+};
@@ -0,0 +1,225 @@
+// Job timestamps a time-range filter can apply to
+const TIME_FIELDS = ['timestamp', 'processedOn', 'finishedOn'];
+
+// Longest regex a filter accepts; regexes run synchronously over every scanned job
+const MAX_PATTERN_LENGTH = 200;
+
+class JobFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobFilterError';
+  }
+}
+
+// Parse an ISO date or epoch milliseconds value
+function parseTime(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const time = /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new JobFilterError(`${label} must be an ISO date or epoch milliseconds`);
+  }
+  return time;
+}
+
+// Whether a regex repeats a group that itself contains a quantifier or an alternation,
+// like (a+)+, (\w*\d?){2,} or (a|a)+. Those can backtrack catastrophically.
+// Backreferences are refused for the same reason.
+function isUnsafePattern(source) {
+  const groups = [];
+  let branching = false;
+  let inClass = false;
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(source[index + 1] || '')) {
+        return true;
+      }
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(branching);
+      branching = false;
+    } else if (char === ')') {
+      const inner = branching;
+      branching = groups.length > 0 ? groups.pop() : false;
+      if (inner && /^(?:[*+?]|\{\d+,?\d*\})/.test(source.slice(index + 1))) {
+        return true;
+      }
+      branching = branching || inner;
+    } else if (char === '|' || (/[*+?{]/.test(char) && source[index - 1] !== '(')) {
+      branching = true;
+    }
+  }
+
+  return false;
+}
+
+// Compile a regex from request input, refusing long or catastrophic-backtracking patterns
+function compilePattern(source, flags, label) {
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new JobFilterError(`${label} must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (isUnsafePattern(source)) {
+    throw new JobFilterError(`${label} must not repeat a group holding a quantifier or '|', or use backreferences`);
+  }
+
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new JobFilterError(`Invalid ${label}: ${error.message}`);
+  }
+}
+
+// Split a JSONPath-style path ($.user.email, $.items[0].sku, $['key with spaces']) into keys
+function parsePath(path) {
+  const tokens = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+  let index = 1;
+
+  if (!path.startsWith('$')) {
+    throw new JobFilterError(`Data path '${path}' must start with '$'`);
+  }
+
+  while (index < path.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new JobFilterError(`Invalid data path '${path}'`);
+    }
+    tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? parseInt(match[2]) : match[4]);
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+// Parse a predicate on job data: "<path> <op> <value>" or just "<path>" (field exists).
+// Operators: == != > >= < <= =~ (regex); values are JSON literals or bare strings.
+function parseDataPredicate(expression) {
+  const match = String(expression)
+    .match(/^\s*(\$(?:\.[\w$-]+|\[\d+\]|\['[^']*'\]|\["[^"]*"\])*)\s*(?:(==|!=|>=|<=|>|<|=~)\s*(.*?))?\s*$/);
+  if (!match) {
+    throw new JobFilterError(`Invalid data predicate '${expression}'`);
+  }
+
+  const [, path, operator = 'exists', rawValue = ''] = match;
+  let value;
+
+  if (operator === '=~') {
+    const literal = rawValue.match(/^\/(.*)\/([a-z]*)$/);
+    const label = `regex in data predicate '${expression}'`;
+    value = literal ? compilePattern(literal[1], literal[2], label) : compilePattern(rawValue, '', label);
+  } else if (operator !== 'exists') {
+    try {
+      value = JSON.parse(rawValue);
+    } catch (error) {
+      value = rawValue;
+    }
+  }
+
+  return { path: parsePath(path), operator, value };
+}
+
+function matchesDataPredicate(data, { path, operator, value }) {
+  const actual = path.reduce((current, key) => (current == null ? undefined : current[key]), data);
+
+  switch (operator) {
+    case 'exists':
+      return actual !== undefined;
+    case '==':
+      return actual === value;
+    case '!=':
+      return actual !== value;
+    case '>':
+      return actual > value;
+    case '>=':
+      return actual >= value;
+    case '<':
+      return actual < value;
+    case '<=':
+      return actual <= value;
+    case '=~':
+      return typeof actual === 'string' && value.test(actual);
+    default:
+      return false;
+  }
+}
+
+// Build a job filter from request input:
+// { name, failedReason, failedReasonPattern, data, from, to, timeField }
+function parseJobFilter(input = {}) {
+  const filter = {};
+
+  if (input.name) {
+    filter.names = Array.isArray(input.name) ? input.name.map(String) : String(input.name).split(',');
+  }
+
+  if (input.failedReason) {
+    filter.failedReason = String(input.failedReason).toLowerCase();
+  }
+
+  if (input.failedReasonPattern) {
+    filter.failedReasonPattern = compilePattern(String(input.failedReasonPattern), 'i', 'failedReason regex');
+  }
+
+  if (input.data) {
+    filter.data = [].concat(input.data).map(parseDataPredicate);
+  }
+
+  filter.from = parseTime(input.from, 'from');
+  filter.to = parseTime(input.to, 'to');
+  if (filter.from !== undefined && filter.to !== undefined && filter.from > filter.to) {
+    throw new JobFilterError('from must be before to');
+  }
+
+  filter.timeField = input.timeField || 'timestamp';
+  if (!TIME_FIELDS.includes(filter.timeField)) {
+    throw new JobFilterError(`timeField must be one of: ${TIME_FIELDS.join(', ')}`);
+  }
+
+  return filter;
+}
+
+// Check a job against a parsed filter
+function matchesJobFilter(job, filter) {
+  if (filter.names && !filter.names.includes(job.name)) {
+    return false;
+  }
+
+  if (filter.failedReason && !(job.failedReason || '').toLowerCase().includes(filter.failedReason)) {
+    return false;
+  }
+
+  if (filter.failedReasonPattern && !filter.failedReasonPattern.test(job.failedReason || '')) {
+    return false;
+  }
+
+  if (filter.data && !filter.data.every(predicate => matchesDataPredicate(job.data, predicate))) {
+    return false;
+  }
+
+  const time = job[filter.timeField];
+  if (filter.from !== undefined && !(time >= filter.from)) {
+    return false;
+  }
+  if (filter.to !== undefined && !(time <= filter.to)) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  JobFilterError,
+  parseTime,
+  parseJobFilter,
+  matchesJobFilter,
+};
@@ -0,0 +1,131 @@
+// Every job state BullMQ keeps, in listing order
+const JOB_STATES = ['active', 'waiting', 'prioritized', 'delayed', 'waiting-children', 'paused', 'completed', 'failed'];
+
+// States kept in Redis lists; the others are sorted sets
+const LIST_STATES = ['active', 'waiting', 'paused'];
+
+const ORDERS = ['asc', 'desc'];
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+  }
+}
+
+// Cursors are opaque to clients: base64url JSON of the states, order and position
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  if (!cursor || !Array.isArray(cursor.states) || !ORDERS.includes(cursor.order)
+    || !cursor.states.every(state => JOB_STATES.includes(state)) || !Number.isInteger(cursor.index)) {
+    throw new PaginationError('Invalid cursor');
+  }
+  return cursor;
+}
+
+function stateKey(queue, state) {
+  return queue.toKey(state === 'waiting' ? 'wait' : state);
+}
+
+// Read the next job IDs of a sorted-set state. The position is the last score seen
+// plus how many members with that score were already returned, so jobs added
+// to other parts of the set do not shift the page.
+async function readSortedSetPage(queue, state, position, count, order) {
+  const client = await queue.client;
+  const skip = position.skip || 0;
+  const args = order === 'asc'
+    ? ['zrangebyscore', stateKey(queue, state), position.score || '-inf', '+inf']
+    : ['zrevrangebyscore', stateKey(queue, state), position.score || '+inf', '-inf'];
+
+  const reply = await client[args[0]](...args.slice(1), 'WITHSCORES', 'LIMIT', skip, count);
+  const ids = [];
+  const scores = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    ids.push(reply[i]);
+    scores.push(reply[i + 1]);
+  }
+
+  if (ids.length < count) {
+    return { ids, next: null };
+  }
+
+  const lastScore = scores[scores.length - 1];
+  const sameScore = scores.filter(score => score === lastScore).length;
+  return {
+    ids,
+    next: {
+      score: lastScore,
+      skip: lastScore === position.score ? skip + sameScore : sameScore,
+    },
+  };
+}
+
+// Lists only support offsets; waiting jobs are consumed from the oldest end
+async function readListPage(queue, state, position, count, order) {
+  const offset = position.offset || 0;
+  const ids = await queue.getRanges([state], offset, offset + count - 1, order === 'asc');
+
+  return {
+    ids,
+    next: ids.length < count ? null : { offset: offset + ids.length },
+  };
+}
+
+// List the jobs of one or more states, one state after the other
+async function listJobs(queue, { states, order = 'desc', limit = 50, cursor }) {
+  const position = cursor ? decodeCursor(cursor) : { states, order, index: 0 };
+  const counts = await queue.getJobCounts(...position.states);
+
+  const items = [];
+  let next = position;
+
+  while (next && items.length < limit) {
+    const state = next.states[next.index];
+    const readPage = LIST_STATES.includes(state) ? readListPage : readSortedSetPage;
+    const page = await readPage(queue, state, next, limit - items.length, next.order);
+
+    const jobs = await Promise.all(page.ids.map(id => queue.getJob(id)));
+    jobs.forEach(job => {
+      // Jobs removed since their ID was read are skipped
+      if (job) {
+        items.push({ job, state });
+      }
+    });
+
+    if (page.next) {
+      next = { states: next.states, order: next.order, index: next.index, ...page.next };
+    } else if (next.index + 1 < next.states.length) {
+      next = { states: next.states, order: next.order, index: next.index + 1 };
+    } else {
+      next = null;
+    }
+  }
+
+  return {
+    items,
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    states: position.states,
+    order: position.order,
+    nextCursor: next ? encodeCursor(next) : null,
+  };
+}
+
+module.exports = {
+  JOB_STATES,
+  ORDERS,
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  listJobs,
+};
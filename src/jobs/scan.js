@@ -0,0 +1,33 @@
+// Jobs fetched from Redis per page while scanning
+const SCAN_BATCH_SIZE = 100;
+
+// Iterate the jobs of the given states page by page, oldest first.
+// Each job comes with the position to resume the scan after it.
+async function* scanJobs(queue, states, { batchSize = SCAN_BATCH_SIZE, from = { index: 0, offset: 0 } } = {}) {
+  for (let index = from.index; index < states.length; index++) {
+    const state = states[index];
+    const firstOffset = index === from.index ? from.offset : 0;
+
+    for (let start = firstOffset; ; start += batchSize) {
+      // getRanges reads exactly one state (getJobs adds 'paused' to 'waiting')
+      const ids = await queue.getRanges([state], start, start + batchSize - 1, true);
+      const jobs = await Promise.all(ids.map(id => queue.getJob(id)));
+
+      for (let i = 0; i < jobs.length; i++) {
+        // Jobs removed between listing and fetching come back empty
+        if (jobs[i]) {
+          yield { job: jobs[i], state, next: { index, offset: start + i + 1 } };
+        }
+      }
+
+      if (ids.length < batchSize) {
+        break;
+      }
+    }
+  }
+}
+
+module.exports = {
+  SCAN_BATCH_SIZE,
+  scanJobs,
+};
@@ -0,0 +1,38 @@
+const { matchesJobFilter } = require('./filters');
+const { scanJobs } = require('./scan');
+const { encodeCursor, decodeCursor } = require('./pagination');
+
+// Scan the given states oldest first and collect jobs matching the filter.
+// Stops after `limit` matches or `maxScan` examined jobs; the cursor resumes the scan.
+async function searchJobs(queue, { states, filter, limit, maxScan, cursor }) {
+  const position = cursor ? decodeCursor(cursor) : { states, order: 'asc', index: 0, offset: 0 };
+  const from = { index: position.index, offset: position.offset || 0 };
+
+  const items = [];
+  let scanned = 0;
+  let next = null;
+
+  for await (const { job, state, next: after } of scanJobs(queue, position.states, { from })) {
+    scanned++;
+
+    if (matchesJobFilter(job, filter)) {
+      items.push({ job, state });
+    }
+
+    if (items.length >= limit || scanned >= maxScan) {
+      next = after;
+      break;
+    }
+  }
+
+  return {
+    items,
+    scanned,
+    states: position.states,
+    nextCursor: next ? encodeCursor({ states: position.states, order: 'asc', ...next }) : null,
+  };
+}
+
+module.exports = {
+  searchJobs,
+};
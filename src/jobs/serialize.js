@@ -0,0 +1,22 @@
+// Job summary returned by the job listing and search endpoints
+function serializeJob(job, state) {
+  return {
+    id: job.id,
+    name: job.name,
+    state,
+    data: job.data,
+    opts: job.opts,
+    progress: job.progress,
+    timestamp: job.timestamp,
+    processedOn: job.processedOn,
+    finishedOn: job.finishedOn,
+    failedReason: job.failedReason,
+    attemptsMade: job.attemptsMade,
+    delay: job.delay,
+    priority: job.opts.priority,
+  };
+}
+
+module.exports = {
+  serializeJob,
+};
@@ -0,0 +1,279 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config');
+const { getQueue } = require('../queues/setup');
+const { BACKOFF_TYPES } = require('../workers/retries');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// BullMQ job options a client may set when submitting a job
+const JOB_OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    priority: { type: 'integer', minimum: 0, maximum: 2097152 },
+    delay: { type: 'integer', minimum: 0 },
+    attempts: { type: 'integer', minimum: 1, maximum: 100 },
+    // Enforced by the workers, not by BullMQ
+    timeout: { type: 'integer', minimum: 1 },
+    // A delay in ms, or one of BACKOFF_TYPES with its settings. A single schema rather
+    // than oneOf, so an unknown type is reported as such; BullMQ would not retry the job.
+    backoff: {
+      type: ['integer', 'object'],
+      minimum: 0,
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: BACKOFF_TYPES },
+        delay: { type: 'integer', minimum: 0 },
+        jitter: { type: 'number', minimum: 0, maximum: 1 },
+        maxDelay: { type: 'integer', minimum: 0 },
+        delays: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0 } },
+      },
+      if: { required: ['type'], properties: { type: { const: 'schedule' } } },
+      then: { required: ['type', 'delays'] },
+    },
+    // BullMQ rejects integer-like custom IDs and IDs containing ':'
+    jobId: { type: 'string', minLength: 1, maxLength: 256, pattern: '^(?!\\d+$)[^:]+$' },
+    deduplication: {
+      type: 'object',
+      required: ['id'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1, maxLength: 256 },
+        ttl: { type: 'integer', minimum: 1 },
+        extend: { type: 'boolean' },
+        replace: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+const validateOptions = ajv.compile(JOB_OPTIONS_SCHEMA);
+
+// Jobs sent to Redis per addBulk call
+const BULK_CHUNK_SIZE = 500;
+
+// Compiled data validators keyed by "<queue>:<job name>"
+const validators = new Map();
+
+// Raised with a list of { field, message, keyword } when a submission is invalid
+class JobValidationError extends Error {
+  constructor(errors) {
+    super('Job validation failed');
+    this.name = 'JobValidationError';
+    this.errors = errors;
+  }
+}
+
+// Turn Ajv errors into { field, message, keyword } entries rooted at the given field
+function toFieldErrors(errors, root) {
+  return (errors || []).map(error => {
+    const field = error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.keyword === 'additionalProperties'
+        ? `${error.instancePath}/${error.params.additionalProperty}`
+        : error.instancePath;
+
+    return {
+      field: `${root}${field.replace(/\//g, '.')}`,
+      message: error.message,
+      keyword: error.keyword,
+    };
+  });
+}
+
+// Find the data validator of a job name; queues without schemas accept any data
+function getDataValidator(definition, name) {
+  const schemas = definition.jobSchemas;
+  if (!schemas) {
+    return () => true;
+  }
+
+  const schema = schemas[name] || schemas['*'];
+  if (!schema) {
+    return null;
+  }
+
+  const key = `${definition.name}:${schemas[name] ? name : '*'}`;
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile(schema));
+  }
+  return validators.get(key);
+}
+
+// Validate a submission ({ name, data, opts }) against the queue's schemas and the options allow-list
+function validateJob(definition, { name, data = {}, opts = {} }) {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.length === 0) {
+    errors.push({ field: 'name', message: 'must be a non-empty string', keyword: 'required' });
+  } else {
+    const validateData = getDataValidator(definition, name);
+
+    if (!validateData) {
+      const known = Object.keys(definition.jobSchemas).join(', ');
+      errors.push({ field: 'name', message: `unknown job name for this queue (known: ${known})`, keyword: 'enum' });
+    } else if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push({ field: 'data', message: 'must be an object', keyword: 'type' });
+    } else if (!validateData(data)) {
+      errors.push(...toFieldErrors(validateData.errors, 'data'));
+    }
+  }
+
+  if (!validateOptions(opts)) {
+    errors.push(...toFieldErrors(validateOptions.errors, 'opts'));
+  }
+
+  if (errors.length > 0) {
+    throw new JobValidationError(errors);
+  }
+}
+
+// Map idempotency inputs onto BullMQ options: a body jobId becomes the custom job ID
+// and an Idempotency-Key becomes a deduplication ID kept for the configured window
+function resolveJobOptions({ jobId, opts = {} }, idempotencyKey) {
+  const resolved = { ...opts };
+  const errors = [];
+
+  if (jobId !== undefined) {
+    if (opts.jobId !== undefined && opts.jobId !== jobId) {
+      errors.push({ field: 'jobId', message: 'must match opts.jobId', keyword: 'const' });
+    }
+    resolved.jobId = jobId;
+  }
+
+  if (idempotencyKey !== undefined) {
+    if (opts.deduplication) {
+      errors.push({
+        field: 'opts.deduplication',
+        message: 'cannot be combined with an Idempotency-Key header',
+        keyword: 'not',
+      });
+    }
+    resolved.deduplication = { id: idempotencyKey, ttl: config.queue.idempotencyTtl };
+  }
+
+  if (errors.length > 0) {
+    throw new JobValidationError(errors);
+  }
+  return resolved;
+}
+
+function withJobId(opts) {
+  return {
+    jobId: uuidv4(),
+    ...opts,
+  };
+}
+
+// Validate and add a job to a registered queue. A repeated jobId or Idempotency-Key
+// adds nothing and returns the original job with duplicate: true.
+async function submitJob(definition, submission, { idempotencyKey } = {}) {
+  const { name, data = {} } = submission;
+  const opts = resolveJobOptions(submission, idempotencyKey);
+  validateJob(definition, { name, data, opts });
+
+  const queue = getQueue(definition.name);
+  const requested = withJobId(opts);
+  const job = await queue.add(name, data, requested);
+
+  // BullMQ answers a duplicate with the existing job's ID without flagging it:
+  // deduplication returns another ID, a custom jobId keeps the original timestamp
+  const stored = await queue.getJob(job.id);
+  const duplicate = job.id !== requested.jobId || Boolean(stored && stored.timestamp !== job.timestamp);
+
+  return {
+    jobId: job.id,
+    queue: definition.alias,
+    name: stored ? stored.name : job.name,
+    state: await queue.getJobState(job.id),
+    duplicate,
+  };
+}
+
+// Validate items one by one and add the valid ones with addBulk in chunks.
+// Returns { add(item), reject(errors), finish() }; finish() resolves to the report.
+function createBulkSubmission(definition, { chunkSize = BULK_CHUNK_SIZE } = {}) {
+  const queue = getQueue(definition.name);
+  const accepted = [];
+  const rejected = [];
+  let pending = [];
+  let index = 0;
+
+  const flush = async () => {
+    const chunk = pending;
+    pending = [];
+    if (chunk.length === 0) {
+      return;
+    }
+
+    try {
+      const jobs = await queue.addBulk(chunk.map(({ job }) => job));
+      jobs.forEach((job, position) => accepted.push({ index: chunk[position].index, jobId: job.id, name: job.name }));
+    } catch (error) {
+      chunk.forEach(({ index: itemIndex }) => rejected.push({
+        index: itemIndex,
+        errors: [{ field: '', message: error.message, keyword: 'queue' }],
+      }));
+    }
+  };
+
+  return {
+    async add(item) {
+      const itemIndex = index++;
+
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        rejected.push({ index: itemIndex, errors: [{ field: '', message: 'must be an object', keyword: 'type' }] });
+        return;
+      }
+
+      const { name, data = {} } = item;
+      let opts;
+      try {
+        opts = resolveJobOptions(item);
+        validateJob(definition, { name, data, opts });
+      } catch (error) {
+        if (!(error instanceof JobValidationError)) {
+          throw error;
+        }
+        rejected.push({ index: itemIndex, errors: error.errors });
+        return;
+      }
+
+      pending.push({ index: itemIndex, job: { name, data, opts: withJobId(opts) } });
+      if (pending.length >= chunkSize) {
+        await flush();
+      }
+    },
+
+    reject(errors) {
+      rejected.push({ index: index++, errors });
+    },
+
+    async finish() {
+      await flush();
+      rejected.sort((a, b) => a.index - b.index);
+
+      return {
+        queue: definition.alias,
+        received: index,
+        accepted: accepted.length,
+        rejected: rejected.length,
+        jobs: accepted,
+        errors: rejected,
+      };
+    },
+  };
+}
+
+module.exports = {
+  JOB_OPTIONS_SCHEMA,
+  JobValidationError,
+  toFieldErrors,
+  validateJob,
+  submitJob,
+  createBulkSubmission,
+};
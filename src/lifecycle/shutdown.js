@@ -0,0 +1,103 @@
+const chalk = require('chalk');
+const config = require('../../config');
+const { drainWorkers, getWorkers } = require('../workers/setup');
+const { cleanupQueues } = require('../queues/setup');
+const { cleanupScheduler } = require('../scheduler/setup');
+const { stopMonitor } = require('../monitor/setup');
+const { cleanupFlows } = require('../flows/setup');
+const { closeWebSocket } = require('../websocket/setup');
+const { cleanupDeadLetterQueues } = require('../dlq/setup');
+
+let shutdownState = {
+  status: 'running',
+  signal: null,
+  phase: null,
+  startedAt: null,
+};
+
+// Run the ordered shutdown sequence and exit the process
+async function gracefulShutdown(server, signal) {
+  if (shutdownState.status === 'draining') {
+    console.log(chalk.red(`\n🛑 Received ${signal} again, forcing exit`));
+    process.exit(1);
+  }
+
+  shutdownState = {
+    status: 'draining',
+    signal,
+    phase: 'draining-workers',
+    startedAt: new Date().toISOString(),
+  };
+  console.log(chalk.yellow(`\n🛑 Received ${signal}, shutting down gracefully...`));
+
+  let exitCode = 0;
+
+  try {
+    // 1. Pause workers and wait for active jobs
+    const { drained } = await drainWorkers(config.app.shutdownTimeout);
+    if (!drained) {
+      exitCode = 1;
+    }
+
+    // 2. Stop the monitor timers, live subscribers and the scheduler
+    shutdownState.phase = 'stopping-monitor';
+    await closeWebSocket();
+    await stopMonitor();
+    await cleanupScheduler();
+
+    // 3. Close queue connections
+    shutdownState.phase = 'closing-queues';
+    await cleanupFlows();
+    await cleanupDeadLetterQueues();
+    await cleanupQueues();
+
+    // 4. Close the HTTP server
+    shutdownState.phase = 'closing-http';
+    if (server) {
+      await closeServer(server);
+    }
+
+    shutdownState.phase = 'done';
+    console.log(chalk.green(`✅ Shutdown complete (exit code ${exitCode})`));
+  } catch (error) {
+    console.error(chalk.red('❌ Error during shutdown:'), error);
+    exitCode = 1;
+  }
+
+  process.exit(exitCode);
+}
+
+// Close the HTTP server along with any lingering keep-alive connections
+function closeServer(server) {
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+// Reject new API requests while draining; /health stays reachable
+function rejectWhileDraining(req, res, next) {
+  if (shutdownState.status !== 'draining' || req.path === '/health') {
+    return next();
+  }
+
+  res.setHeader('Connection', 'close');
+  res.status(503).json({
+    success: false,
+    error: 'Server is shutting down',
+  });
+}
+
+// Get shutdown progress
+function getShutdownState() {
+  return {
+    ...shutdownState,
+    remainingWorkers: shutdownState.status === 'draining' ? Object.keys(getWorkers()) : [],
+  };
+}
+
+module.exports = {
+  gracefulShutdown,
+  rejectWhileDraining,
+  getShutdownState,
+};
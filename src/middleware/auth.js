@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const config = require('../../config');
+
+function isAuthEnabled() {
+  return config.app.apiKeys.length > 0;
+}
+
+// Requests that may pass the API key as an apiKey query parameter: EventSource and
+// browser WebSocket clients cannot set headers. Keys in URLs end up in access logs,
+// so every other request must send a header.
+const QUERY_KEY_PATHS = ['/api/monitor/stream', '/ws/jobs'];
+
+// Read the API key from X-API-Key, a bearer token, a Basic password, or (see QUERY_KEY_PATHS)
+// the apiKey query parameter
+function getRequestApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  // Browsers send the password of a Basic prompt (the user name is ignored), for Bull Board
+  if (authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.slice('Basic '.length).trim(), 'base64').toString();
+    return credentials.slice(credentials.indexOf(':') + 1) || null;
+  }
+
+  // Behind app.use('/api', ...) req.url lacks the mount path, originalUrl keeps it
+  const { pathname, searchParams } = new URL(req.originalUrl || req.url, 'http://localhost');
+  return req.method === 'GET' && QUERY_KEY_PATHS.includes(pathname) ? searchParams.get('apiKey') : null;
+}
+
+// Compare against every configured key in constant time
+function isValidApiKey(apiKey) {
+  if (!apiKey) {
+    return false;
+  }
+
+  const candidate = crypto.createHash('sha256').update(apiKey).digest();
+  return config.app.apiKeys.some(key => {
+    const expected = crypto.createHash('sha256').update(key).digest();
+    return crypto.timingSafeEqual(candidate, expected);
+  });
+}
+
+// Check the credentials of an HTTP request or WebSocket upgrade request
+function isAuthorized(req) {
+  return !isAuthEnabled() || isValidApiKey(getRequestApiKey(req));
+}
+
+// Reject API requests without a valid API key
+function requireApiKey(req, res, next) {
+  if (isAuthorized(req)) {
+    return next();
+  }
+
+  res.status(401).json({
+    success: false,
+    error: 'Invalid or missing API key',
+  });
+}
+
+// Protect Bull Board, which can retry and remove jobs: browsers get a Basic prompt for the key
+function requireDashboardKey(req, res, next) {
+  if (isAuthorized(req)) {
+    return next();
+  }
+
+  res.set('WWW-Authenticate', 'Basic realm="Bull Board", charset="UTF-8"');
+  res.status(401).send('Invalid or missing API key');
+}
+
+module.exports = {
+  requireApiKey,
+  requireDashboardKey,
+  isAuthorized,
+};
@@ -0,0 +1,88 @@
+const { EventEmitter } = require('events');
+
+// Job lifecycle events of all monitored queues, re-emitted by the monitor's
+// QueueEvents subscribers as 'event' with { queueName, id, event, jobId, ... }
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Job names by queue and job ID; stream events only carry the name on 'added'
+const jobNames = new Map();
+const MAX_CACHED_JOB_NAMES = 5000;
+
+function rememberJobName(queueName, jobId, name) {
+  jobNames.set(`${queueName}:${jobId}`, name);
+
+  // Evict the oldest entries
+  if (jobNames.size > MAX_CACHED_JOB_NAMES) {
+    jobNames.delete(jobNames.keys().next().value);
+  }
+}
+
+function getCachedJobName(queueName, jobId) {
+  return jobNames.get(`${queueName}:${jobId}`);
+}
+
+// Look up a job name, falling back to the job hash for jobs added before we subscribed
+async function resolveJobName(queue, jobId) {
+  const cached = getCachedJobName(queue.name, jobId);
+  if (cached !== undefined || !jobId) {
+    return cached;
+  }
+
+  const job = await queue.getJob(jobId);
+  if (job) {
+    rememberJobName(queue.name, jobId, job.name);
+  }
+  return job ? job.name : undefined;
+}
+
+// Parse a raw event stream entry the same way QueueEvents does
+function parseStreamEntry(queueName, [id, fields]) {
+  const args = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    args[fields[i]] = fields[i + 1];
+  }
+
+  try {
+    if (args.event === 'progress') {
+      args.data = JSON.parse(args.data);
+    } else if (args.event === 'completed') {
+      args.returnvalue = JSON.parse(args.returnvalue);
+    }
+  } catch (error) {
+    // Keep the raw string
+  }
+
+  return { queueName, id, ...args };
+}
+
+// Compare two Redis stream IDs ("<ms>-<seq>")
+function compareEventIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+// ID of the newest entry in a queue's event stream
+async function getLatestEventId(queue) {
+  const client = await queue.client;
+  const [entry] = await client.xrevrange(queue.keys.events, '+', '-', 'COUNT', 1);
+  return entry ? entry[0] : '0-0';
+}
+
+// Read events recorded after the given stream ID
+async function readEventsAfter(queue, lastId, count) {
+  const client = await queue.client;
+  const entries = await client.xrange(queue.keys.events, `(${lastId}`, '+', 'COUNT', count);
+  return entries.map(entry => parseStreamEntry(queue.name, entry));
+}
+
+module.exports = {
+  jobEvents,
+  rememberJobName,
+  getCachedJobName,
+  resolveJobName,
+  compareEventIds,
+  getLatestEventId,
+  readEventsAfter,
+};
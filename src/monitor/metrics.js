@@ -0,0 +1,187 @@
+const config = require('../../config');
+
+const MINUTE = 60000;
+
+const RESOLUTIONS = {
+  '1m': MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '1h': 60 * MINUTE,
+  '1d': 24 * 60 * MINUTE,
+};
+
+// Completed/failed counts come from BullMQ's built-in worker metrics;
+// wait and processing time samples are kept per minute next to the queue keys:
+// <prefix>:<queue>:timing:<wait|processing>:<minuteTs>
+function timingKey(queueBase, type, minute) {
+  return `${queueBase.qualifiedName}:timing:${type}:${minute}`;
+}
+
+function toMinute(timestamp) {
+  return Math.floor(timestamp / MINUTE) * MINUTE;
+}
+
+// Record the wait and processing time of a finished job attempt
+async function recordJobMetrics(queueBase, job) {
+  if (!job || !job.processedOn || !job.finishedOn) {
+    return;
+  }
+
+  const client = await queueBase.client;
+  const minute = toMinute(job.finishedOn);
+  const ttl = config.monitor.metricsRetentionHours * 3600;
+  const { maxSamplesPerMinute } = config.monitor;
+  const samples = {
+    wait: Math.max(job.processedOn - job.timestamp - (job.opts.delay || 0), 0),
+    processing: Math.max(job.finishedOn - job.processedOn, 0),
+  };
+
+  const multi = client.multi();
+  for (const [type, value] of Object.entries(samples)) {
+    const key = timingKey(queueBase, type, minute);
+    multi.rpush(key, value);
+    multi.ltrim(key, -maxSamplesPerMinute, -1);
+    multi.expire(key, ttl);
+  }
+  await multi.exec();
+}
+
+// Map BullMQ's per-minute data points onto { minuteTs: count }
+async function getCountsByMinute(queue, type, from, to) {
+  const { meta } = await queue.getMetrics(type, 0, 0);
+  const counts = {};
+
+  if (!meta.prevTS) {
+    return counts;
+  }
+
+  // The minute of the last update is still accumulating; data[i] is the minute i + 1 before it
+  const currentMinute = toMinute(meta.prevTS);
+  counts[currentMinute] = meta.count - meta.prevCount;
+
+  const start = Math.max((currentMinute - toMinute(to)) / MINUTE - 1, 0);
+  const end = (currentMinute - toMinute(from)) / MINUTE - 1;
+
+  if (end >= start) {
+    const { data } = await queue.getMetrics(type, start, end);
+    data.forEach((value, index) => {
+      counts[currentMinute - (start + index + 1) * MINUTE] = parseInt(value) || 0;
+    });
+  }
+
+  return counts;
+}
+
+// Read raw timing samples for every minute in the range
+async function getTimingSamples(queue, type, minutes) {
+  const client = await queue.client;
+  const multi = client.multi();
+  minutes.forEach(minute => multi.lrange(timingKey(queue, type, minute), 0, -1));
+
+  const results = await multi.exec();
+  const samples = {};
+  minutes.forEach((minute, index) => {
+    samples[minute] = (results[index][1] || []).map(Number);
+  });
+  return samples;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const index = Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+function summarizeSamples(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  return {
+    count: sorted.length,
+    avg: sorted.length ? Math.round(total / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+  };
+}
+
+// Load per-minute counts and timing samples for a time range
+async function loadMinutes(queue, from, to) {
+  const minutes = [];
+  for (let minute = toMinute(from); minute <= toMinute(to); minute += MINUTE) {
+    minutes.push(minute);
+  }
+
+  const [completed, failed, wait, processing] = await Promise.all([
+    getCountsByMinute(queue, 'completed', from, to),
+    getCountsByMinute(queue, 'failed', from, to),
+    getTimingSamples(queue, 'wait', minutes),
+    getTimingSamples(queue, 'processing', minutes),
+  ]);
+
+  return minutes.map(minute => ({
+    minute,
+    completed: completed[minute] || 0,
+    failed: failed[minute] || 0,
+    wait: wait[minute],
+    processing: processing[minute],
+  }));
+}
+
+function aggregate(minutes) {
+  return {
+    completed: minutes.reduce((sum, entry) => sum + entry.completed, 0),
+    failed: minutes.reduce((sum, entry) => sum + entry.failed, 0),
+    waitTime: summarizeSamples(minutes.flatMap(entry => entry.wait)),
+    processingTime: summarizeSamples(minutes.flatMap(entry => entry.processing)),
+  };
+}
+
+// Query metrics for a queue, bucketed by resolution
+async function queryMetrics(queue, { from, to, resolution = '1m' }) {
+  const step = RESOLUTIONS[resolution];
+  if (!step) {
+    throw new Error(`Invalid resolution '${resolution}'. Use: ${Object.keys(RESOLUTIONS).join(', ')}`);
+  }
+
+  const buckets = new Map();
+  for (const entry of await loadMinutes(queue, from, to)) {
+    const bucketStart = Math.floor(entry.minute / step) * step;
+    if (!buckets.has(bucketStart)) {
+      buckets.set(bucketStart, []);
+    }
+    buckets.get(bucketStart).push(entry);
+  }
+
+  return Array.from(buckets.entries()).map(([timestamp, minutes]) => ({
+    timestamp: new Date(timestamp).toISOString(),
+    ...aggregate(minutes),
+  }));
+}
+
+// Single summary over a time window, used by the monitor's performance view
+async function getMetricsSummary(queue, from, to) {
+  const summary = aggregate(await loadMinutes(queue, from, to));
+
+  return {
+    completed: summary.completed,
+    failed: summary.failed,
+    avgProcessingTime: summary.processingTime.avg || 0,
+    avgWaitTime: summary.waitTime.avg || 0,
+    processingTime: summary.processingTime,
+    waitTime: summary.waitTime,
+    window: {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  recordJobMetrics,
+  queryMetrics,
+  getMetricsSummary,
+};
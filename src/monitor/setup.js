@@ -1,6 +1,19 @@
-const { Queue } = require('bullmq');
+const { QueueEvents } = require('bullmq');
 const config = require('../../config');
 const chalk = require('chalk');
+const { getQueueDefinitions } = require('../queues/registry');
+const { getQueue } = require('../queues/setup');
+const { getMetricsSummary } = require('./metrics');
+const { jobEvents, rememberJobName, getCachedJobName } = require('./events');
+
+// Window summarized by the performance view
+const PERFORMANCE_WINDOW = 60 * 60 * 1000;
+
+// Long-lived QueueEvents subscribers and their last seen stream IDs, keyed by queue name
+const monitoredQueues = new Map();
+
+// Interval timers started by the monitor
+const timers = [];
 
 let monitoringData = {
   queues: {},
@@ -38,95 +51,151 @@ async function setupMonitor() {
 }
 
 async function startQueueMonitoring() {
-  const { getQueues } = require('../queues/setup');
-  const queues = getQueues();
-
-  const queueNames = [
-    'email-queue',
-    'image-processing-queue',
-    'priority-queue',
-    'delayed-queue',
-    'recurring-queue',
-    'dependency-queue',
-    'rate-limited-queue',
-  ];
-
-  // Monitor each queue
-  for (const queueName of queueNames) {
-    const queue = new Queue(queueName, { connection });
-    
-    // Setup queue event listeners for monitoring
-    setupQueueMonitoring(queue, queueName);
-    
-    // Initial queue status
-    await updateQueueStatus(queue, queueName);
+  // Monitor each registered queue
+  for (const { name: queueName } of getQueueDefinitions()) {
+    await monitorQueue(queueName);
   }
 
   // Update queue status every 30 seconds
-  setInterval(async () => {
-    for (const queueName of queueNames) {
-      const queue = new Queue(queueName, { connection });
+  timers.push(setInterval(async () => {
+    for (const [queueName, { queue }] of monitoredQueues) {
       await updateQueueStatus(queue, queueName);
-      await queue.close();
     }
-  }, 30000);
+  }, 30000));
+}
+
+// Start monitoring a queue
+async function monitorQueue(queueName) {
+  if (monitoredQueues.has(queueName)) {
+    return;
+  }
+
+  const entry = {
+    queue: getQueue(queueName),
+    queueEvents: null,
+    lastEventId: undefined,
+    refreshTimer: null,
+  };
+  monitoredQueues.set(queueName, entry);
+
+  // Subscribe to the queue's event stream
+  subscribeToQueueEvents(queueName, entry);
+
+  // Initial queue status
+  await updateQueueStatus(entry.queue, queueName);
+}
+
+// Stop monitoring a queue and drop its collected data
+async function unmonitorQueue(queueName) {
+  const entry = monitoredQueues.get(queueName);
+
+  if (entry) {
+    monitoredQueues.delete(queueName);
+    clearTimeout(entry.refreshTimer);
+    await entry.queueEvents.close();
+  }
+
+  delete monitoringData.queues[queueName];
+  delete monitoringData.performance[queueName];
 }
 
-function setupQueueMonitoring(queue, queueName) {
-  queue.on('waiting', (job) => {
-    addMonitoringEvent(queueName, 'waiting', job);
+// Create the QueueEvents subscriber of a queue, resuming after the last seen event
+function subscribeToQueueEvents(queueName, entry) {
+  const queueEvents = new QueueEvents(queueName, {
+    connection,
+    lastEventId: entry.lastEventId,
+  });
+  entry.queueEvents = queueEvents;
+
+  const track = (event, handler) => queueEvents.on(event, (args, id) => {
+    entry.lastEventId = id;
+    handler(args);
+    scheduleStatusRefresh(queueName, entry);
+    jobEvents.emit('event', { queueName, id, event, ...args });
+  });
+
+  track('added', ({ jobId, name }) => {
+    rememberJobName(queueName, jobId, name);
+  });
+
+  track('waiting', ({ jobId }) => {
+    addMonitoringEvent(queueName, 'waiting', toJob(queueName, jobId));
   });
 
-  queue.on('active', (job) => {
-    addMonitoringEvent(queueName, 'active', job);
+  track('active', ({ jobId }) => {
+    addMonitoringEvent(queueName, 'active', toJob(queueName, jobId));
   });
 
-  queue.on('completed', (job) => {
-    addMonitoringEvent(queueName, 'completed', job);
-    updatePerformanceMetrics(queueName, 'completed', job);
+  track('progress', () => {});
+
+  track('completed', ({ jobId }) => {
+    addMonitoringEvent(queueName, 'completed', toJob(queueName, jobId));
   });
 
-  queue.on('failed', (job, err) => {
-    addMonitoringEvent(queueName, 'failed', job, err);
-    updatePerformanceMetrics(queueName, 'failed', job);
+  track('failed', ({ jobId, failedReason }) => {
+    const err = new Error(failedReason);
+    addMonitoringEvent(queueName, 'failed', toJob(queueName, jobId), err);
     checkForAlerts(queueName, 'failed', err);
   });
 
-  queue.on('stalled', (job) => {
-    addMonitoringEvent(queueName, 'stalled', job);
+  track('stalled', ({ jobId }) => {
+    addMonitoringEvent(queueName, 'stalled', toJob(queueName, jobId));
     checkForAlerts(queueName, 'stalled');
   });
 
-  queue.on('error', (err) => {
+  queueEvents.on('error', (err) => {
     addMonitoringEvent(queueName, 'error', null, err);
     checkForAlerts(queueName, 'error', err);
+
+    // Transient connection errors are retried by BullMQ with the same stream ID;
+    // if the read loop itself stopped, resubscribe from the last seen event
+    if (!queueEvents.running && monitoredQueues.get(queueName) === entry && entry.queueEvents === queueEvents) {
+      console.log(chalk.yellow(`🔁 Resubscribing to ${queueName} events from ${entry.lastEventId || 'now'}`));
+      queueEvents.close().catch(() => {});
+      setTimeout(() => {
+        if (monitoredQueues.get(queueName) === entry) {
+          subscribeToQueueEvents(queueName, entry);
+        }
+      }, 1000);
+    }
   });
 }
 
+// Refresh queue counts shortly after a burst of events instead of on every event
+function scheduleStatusRefresh(queueName, entry) {
+  if (entry.refreshTimer) {
+    return;
+  }
+
+  entry.refreshTimer = setTimeout(() => {
+    entry.refreshTimer = null;
+    if (monitoredQueues.get(queueName) === entry) {
+      updateQueueStatus(entry.queue, queueName);
+    }
+  }, 1000);
+}
+
+function toJob(queueName, jobId) {
+  return {
+    id: jobId,
+    name: getCachedJobName(queueName, jobId),
+  };
+}
+
 async function updateQueueStatus(queue, queueName) {
   try {
-    const [
-      waiting,
-      active,
-      completed,
-      failed,
-      delayed,
-      paused,
-    ] = await Promise.all([
-      queue.getWaiting(),
-      queue.getActive(),
-      queue.getCompleted(),
-      queue.getFailed(),
-      queue.getDelayed(),
+    const [counts, paused] = await Promise.all([
+      queue.getJobCounts('waiting', 'active', 'completed', 'failed', 'delayed'),
       queue.isPaused(),
     ]);
 
     monitoringData.queues[queueName] = {
-      waiting: waiting.length,
-      active: active.length,
-      completed: completed.length,
-      failed: failed.length,
-      delayed: delayed.length,
+      ...monitoringData.queues[queueName],
+      waiting: counts.waiting,
+      active: counts.active,
+      completed: counts.completed,
+      failed: counts.failed,
+      delayed: counts.delayed,
       paused,
       lastUpdated: new Date().toISOString(),
     };
@@ -162,59 +231,51 @@ function addMonitoringEvent(queueName, event, job, error = null) {
   }
 }
 
-function updatePerformanceMetrics(queueName, event, job) {
-  if (!monitoringData.performance[queueName]) {
-    monitoringData.performance[queueName] = {
-      completed: 0,
-      failed: 0,
-      avgProcessingTime: 0,
-      totalProcessingTime: 0,
-      jobCount: 0,
-    };
-  }
+function startPerformanceMonitoring() {
+  refreshPerformanceMetrics();
 
-  const metrics = monitoringData.performance[queueName];
+  // Refresh performance metrics from Redis every minute
+  timers.push(setInterval(refreshPerformanceMetrics, 60000));
+}
 
-  if (event === 'completed') {
-    metrics.completed++;
-    if (job.processedOn && job.timestamp) {
-      const processingTime = job.processedOn - job.timestamp;
-      metrics.totalProcessingTime += processingTime;
-      metrics.jobCount++;
-      metrics.avgProcessingTime = metrics.totalProcessingTime / metrics.jobCount;
+// Summarize the last hour of Redis-backed metrics for each queue
+async function refreshPerformanceMetrics() {
+  try {
+    const to = Date.now();
+    const from = to - PERFORMANCE_WINDOW;
+
+    for (const [queueName, { queue }] of monitoredQueues) {
+      monitoringData.performance[queueName] = await getMetricsSummary(queue, from, to);
     }
-  } else if (event === 'failed') {
-    metrics.failed++;
-  }
-}
 
-function startPerformanceMonitoring() {
-  // Monitor system performance every minute
-  setInterval(() => {
-    const totalJobs = Object.values(monitoringData.performance).reduce((sum, metrics) => {
-      return sum + metrics.completed + metrics.failed;
-    }, 0);
+    const queueMetrics = Object.entries(monitoringData.performance)
+      .filter(([name]) => name !== 'system')
+      .map(([, metrics]) => metrics);
 
-    const avgProcessingTime = Object.values(monitoringData.performance).reduce((sum, metrics) => {
+    const totalJobs = queueMetrics.reduce((sum, metrics) => sum + metrics.completed + metrics.failed, 0);
+    const avgProcessingTime = queueMetrics.reduce((sum, metrics) => {
       return sum + metrics.avgProcessingTime;
-    }, 0) / Object.keys(monitoringData.performance).length || 0;
+    }, 0) / queueMetrics.length || 0;
 
     monitoringData.performance.system = {
       totalJobs,
       avgProcessingTime,
       timestamp: new Date().toISOString(),
     };
-  }, 60000);
+  } catch (error) {
+    console.error(chalk.red('❌ Error refreshing performance metrics:'), error);
+  }
 }
 
 function startAlertSystem() {
   // Check for alerts every 10 seconds
-  setInterval(() => {
+  timers.push(setInterval(() => {
     checkQueueHealth();
     checkPerformanceAlerts();
-  }, 10000);
+  }, 10000));
 }
 
+// Record an alert; its severity follows from the event
 function checkForAlerts(queueName, event, error = null) {
   const alert = {
     queueName,
@@ -231,6 +292,8 @@ function checkForAlerts(queueName, event, error = null) {
     alert.severity = 'warning';
   } else if (event === 'error') {
     alert.severity = 'critical';
+  } else if (event === 'missed-run') {
+    alert.severity = 'error';
   }
 
   monitoringData.alerts.push(alert);
@@ -267,6 +330,10 @@ function checkQueueHealth() {
 
 function checkPerformanceAlerts() {
   Object.entries(monitoringData.performance).forEach(([queueName, metrics]) => {
+    if (queueName === 'system') {
+      return;
+    }
+
     // Alert if average processing time is too high
     if (metrics.avgProcessingTime > 30000) { // 30 seconds
       checkForAlerts(queueName, 'slow-processing', new Error(`Slow processing: ${Math.round(metrics.avgProcessingTime)}ms average`));
@@ -280,6 +347,22 @@ function checkPerformanceAlerts() {
   });
 }
 
+// Stop the monitor timers and close its QueueEvents subscribers
+async function stopMonitor() {
+  try {
+    timers.splice(0).forEach(timer => clearInterval(timer));
+
+    for (const [queueName, { queueEvents, refreshTimer }] of monitoredQueues) {
+      monitoredQueues.delete(queueName);
+      clearTimeout(refreshTimer);
+      await queueEvents.close();
+    }
+    console.log(chalk.yellow('🔒 Stopped monitor'));
+  } catch (error) {
+    console.error(chalk.red('❌ Error stopping monitor:'), error);
+  }
+}
+
 // Get monitoring data
 function getMonitoringData() {
   return {
@@ -332,10 +415,14 @@ function getSystemHealth() {
 
 module.exports = {
   setupMonitor,
+  monitorQueue,
+  unmonitorQueue,
+  stopMonitor,
   getMonitoringData,
   getQueueStatus,
   getPerformanceMetrics,
   getAlerts,
+  checkForAlerts,
   clearAlerts,
   getSystemHealth,
 };
@@ -0,0 +1,23 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Delayed processor
+async function processDelayedTask(job) {
+  console.log(chalk.cyan(`⏰ Processing delayed job ${job.id} (delayed by ${job.opts.delay}ms)`));
+  
+  const { message, scheduledFor } = job.data;
+  
+  // Simulate delayed task processing
+  await simulateWork(1500);
+  
+  return {
+    message,
+    scheduledFor,
+    processedAt: new Date().toISOString(),
+    delay: job.opts.delay,
+  };
+}
+
+module.exports = {
+  'delayed-task': processDelayedTask,
+};
@@ -0,0 +1,30 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Dependency processor
+async function processDependencyTask(job) {
+  console.log(chalk.cyan(`🔗 Processing dependency job ${job.id}`));
+  
+  const { task, dependencies } = job.data;
+  
+  // Collect the return values of child jobs when this job is the parent of a flow
+  const childrenValues = await job.getChildrenValues();
+  if (Object.keys(childrenValues).length > 0) {
+    console.log(chalk.yellow(`📋 Job ${job.id} received results from ${Object.keys(childrenValues).length} child jobs`));
+  }
+  
+  // Simulate dependent task processing
+  await simulateWork(2000);
+  
+  return {
+    task,
+    dependencies,
+    childrenValues,
+    processedAt: new Date().toISOString(),
+    status: 'completed',
+  };
+}
+
+module.exports = {
+  'dependency-task': processDependencyTask,
+};
@@ -0,0 +1,26 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Email processor with retry logic
+async function sendEmail(job) {
+  console.log(chalk.cyan(`📧 Processing email job ${job.id}`));
+  
+  // Simulate email processing
+  await simulateWork(2000);
+  
+  // Simulate occasional failures
+  if (Math.random() < 0.1) {
+    throw new Error('Email service temporarily unavailable');
+  }
+  
+  return {
+    status: 'sent',
+    recipient: job.data.recipient,
+    subject: job.data.subject,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  'send-email': sendEmail,
+};
@@ -0,0 +1,21 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Generic processor for queues registered at runtime
+async function processGenericJob(job) {
+  console.log(chalk.cyan(`⚙️ Processing generic job ${job.id} (${job.name}) from ${job.queueName}`));
+
+  await simulateWork(1000);
+
+  return {
+    name: job.name,
+    data: job.data,
+    processedAt: new Date().toISOString(),
+    status: 'completed',
+  };
+}
+
+module.exports = {
+  // Accept any job name
+  '*': processGenericJob,
+};
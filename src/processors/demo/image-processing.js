@@ -0,0 +1,31 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Image processor with concurrency control
+async function processImage(job) {
+  console.log(chalk.cyan(`🖼️ Processing image job ${job.id}`));
+  
+  const { imageUrl, operations } = job.data;
+  
+  // Simulate image processing
+  await simulateWork(5000);
+  
+  // Simulate different processing operations
+  const processedImage = {
+    originalUrl: imageUrl,
+    processedUrl: `processed_${imageUrl}`,
+    operations: operations || ['resize', 'compress'],
+    metadata: {
+      width: 800,
+      height: 600,
+      size: '2.3MB',
+      format: 'JPEG',
+    },
+  };
+  
+  return processedImage;
+}
+
+module.exports = {
+  'process-image': processImage,
+};
@@ -0,0 +1,23 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Priority processor
+async function processPriorityTask(job) {
+  console.log(chalk.cyan(`⚡ Processing priority job ${job.id} with priority ${job.opts.priority}`));
+  
+  const { task, priority } = job.data;
+  
+  // Simulate priority-based processing
+  await simulateWork(1000);
+  
+  return {
+    task,
+    priority,
+    processedAt: new Date().toISOString(),
+    status: 'completed',
+  };
+}
+
+module.exports = {
+  'priority-task': processPriorityTask,
+};
@@ -0,0 +1,31 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+const { UpstreamRateLimitError } = require('../errors');
+
+// Rate Limited processor
+async function callRateLimitedApi(job) {
+  console.log(chalk.cyan(`🚦 Processing rate-limited job ${job.id}`));
+  
+  const { apiCall, rateLimit } = job.data;
+  
+  // Simulate API call with rate limiting
+  await simulateWork(1000);
+
+  // Simulate the upstream API answering 429 Too Many Requests
+  if (job.data.simulateStatus === 429) {
+    throw new UpstreamRateLimitError(`429 Too Many Requests from ${apiCall}`, {
+      retryAfter: job.data.retryAfter || 5000,
+    });
+  }
+  
+  return {
+    apiCall,
+    rateLimit,
+    processedAt: new Date().toISOString(),
+    status: 'success',
+  };
+}
+
+module.exports = {
+  'rate-limited-api-call': callRateLimitedApi,
+};
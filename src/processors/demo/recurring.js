@@ -0,0 +1,31 @@
+const chalk = require('chalk');
+const { simulateWork } = require('./simulate-work');
+
+// Recurring processor
+async function runRecurringTask(job) {
+  console.log(chalk.cyan(`🔄 Processing recurring job ${job.id}`));
+  
+  const { task, frequency } = job.data;
+  
+  // Simulate recurring task
+  await simulateWork(1000);
+  
+  return {
+    task,
+    frequency,
+    executedAt: new Date().toISOString(),
+    nextExecution: new Date(Date.now() + 60000).toISOString(), // 1 minute from now
+  };
+}
+
+module.exports = {
+  'daily-cleanup': runRecurringTask,
+  'hourly-health-check': runRecurringTask,
+  'weekly-report': runRecurringTask,
+  'monthly-backup': runRecurringTask,
+  'monitoring-check': runRecurringTask,
+  'business-hours-task': runRecurringTask,
+  'weekend-maintenance': runRecurringTask,
+  // Custom recurring jobs added at runtime
+  '*': runRecurringTask,
+};
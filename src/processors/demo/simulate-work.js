@@ -0,0 +1,10 @@
+// Utility function to simulate work
+function simulateWork(duration) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, duration);
+  });
+}
+
+module.exports = {
+  simulateWork,
+};
@@ -0,0 +1,37 @@
+// Errors processors can throw to influence how the worker handles a job
+
+// The upstream service answered 429; the worker pauses the queue (or only the
+// job's rate-limit group when `key` is given) for `retryAfter` ms and retries the job
+class UpstreamRateLimitError extends Error {
+  constructor(message, { retryAfter = 1000, key } = {}) {
+    super(message);
+    this.name = 'UpstreamRateLimitError';
+    this.retryAfter = retryAfter;
+    this.key = key;
+  }
+}
+
+// The job ran past its timeout; raised by the worker (processors see it as the
+// reason of their AbortSignal) and kept as the job's failedReason
+class TimeoutError extends Error {
+  constructor(message, { timeout } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// The job can never succeed as submitted (bad input, missing record, ...).
+// Workers fail it without using the remaining attempts.
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+module.exports = {
+  UpstreamRateLimitError,
+  TimeoutError,
+  ValidationError,
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { UnrecoverableError } = require('bullmq');
+const config = require('../../config');
+const { getJobTimeout, createTimeoutSignal } = require('../workers/timeouts');
+
+const DEMO_PROCESSORS_DIR = path.join(__dirname, 'demo');
+
+// Resolve the module file holding the handlers of a queue
+function resolveProcessorPath(definition) {
+  const processor = definition.worker && definition.worker.processor;
+
+  // Queues registered through the API may only name a processor set in the processors
+  // directories; module paths are reserved for the queue config
+  if (definition.runtime && processor && !/^[\w-]+$/.test(processor)) {
+    return null;
+  }
+
+  // Explicit module path from the queue config, relative to the project root
+  if (processor && (processor.includes('/') || processor.endsWith('.js'))) {
+    return path.resolve(path.dirname(config.queue.configFile), processor);
+  }
+
+  // Named processor set, or one named after the queue alias, in the processors directory
+  const fileName = `${processor || definition.alias}.js`;
+  const candidates = [
+    path.resolve(config.queue.processorsDir, fileName),
+    path.join(DEMO_PROCESSORS_DIR, fileName),
+  ];
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Load the job-name -> handler map of a queue
+function loadHandlers(definition) {
+  const processorPath = resolveProcessorPath(definition);
+
+  if (!processorPath) {
+    return null;
+  }
+
+  const handlers = require(processorPath);
+  if (!handlers || typeof handlers !== 'object') {
+    throw new Error(`Processor module '${processorPath}' must export an object mapping job names to handlers`);
+  }
+
+  return handlers;
+}
+
+// Build a processor that dispatches each job to the handler registered for its name
+function loadProcessor(definition) {
+  const handlers = loadHandlers(definition);
+  return handlers ? createDispatcher(handlers) : null;
+}
+
+// Dispatch jobs by name, failing unknown names without retries.
+// Handlers are called with (job, token, signal). In-process workers pass the signal;
+// in a sandbox it is created here and aborts at the job's timeout, when the parent
+// kills the child.
+function createDispatcher(handlers, { defaultTimeout } = {}) {
+  return async (job, token, signal) => {
+    const handler = handlers[job.name] || handlers['*'];
+
+    if (typeof handler !== 'function') {
+      const known = Object.keys(handlers).join(', ');
+      throw new UnrecoverableError(`No handler registered for job '${job.name}' in queue '${job.queueName}' (known: ${known})`);
+    }
+
+    if (signal) {
+      return handler(job, token, signal);
+    }
+
+    const timeout = createTimeoutSignal(getJobTimeout(job, defaultTimeout));
+    try {
+      return await handler(job, token, timeout.signal);
+    } finally {
+      timeout.clear();
+    }
+  };
+}
+
+module.exports = {
+  resolveProcessorPath,
+  loadHandlers,
+  loadProcessor,
+  createDispatcher,
+};
@@ -0,0 +1,10 @@
+// Entry file for sandboxed workers (child process or worker thread).
+// The parent passes the handler module of the queue through SANDBOX_PROCESSOR_PATH
+// and the worker's default job timeout through SANDBOX_JOB_TIMEOUT.
+const { createDispatcher } = require('./loader');
+
+const handlers = require(process.env.SANDBOX_PROCESSOR_PATH);
+
+module.exports = createDispatcher(handlers, {
+  defaultTimeout: parseInt(process.env.SANDBOX_JOB_TIMEOUT) || undefined,
+});
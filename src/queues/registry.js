@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../../config');
+const chalk = require('chalk');
+
+// Queue definitions keyed by alias
+const definitions = new Map();
+
+// Load queue definitions from the JSON/YAML config file and apply environment overrides
+function loadQueueDefinitions(configFile = config.queue.configFile) {
+  try {
+    const raw = fs.readFileSync(configFile, 'utf8');
+    const extension = path.extname(configFile).toLowerCase();
+    const parsed = extension === '.yml' || extension === '.yaml' ? yaml.load(raw) : JSON.parse(raw);
+
+    if (!parsed || !Array.isArray(parsed.queues)) {
+      throw new Error(`Queue config '${configFile}' must contain a 'queues' array`);
+    }
+
+    definitions.clear();
+    parsed.queues.forEach(queue => registerQueueDefinition(queue));
+
+    console.log(chalk.green(`✅ Loaded ${definitions.size} queue definitions from ${configFile}`));
+    return getQueueDefinitions();
+  } catch (error) {
+    console.error(chalk.red('❌ Error loading queue definitions:'), error);
+    throw error;
+  }
+}
+
+// Validate a raw queue definition and fill in defaults
+function normalizeDefinition(raw) {
+  if (!raw || !raw.name) {
+    throw new Error('Queue definition requires a name');
+  }
+
+  const alias = raw.alias || raw.name.replace(/-queue$/, '');
+  const worker = raw.worker === false ? null : {
+    ...raw.worker,
+    concurrency: (raw.worker && raw.worker.concurrency) || config.queue.maxConcurrentJobs,
+  };
+
+  return {
+    ...raw,
+    name: raw.name,
+    alias,
+    label: raw.label || alias,
+    description: raw.description || '',
+    defaultJobOptions: {
+      removeOnComplete: config.queue.removeOnComplete,
+      removeOnFail: config.queue.removeOnFail,
+      ...raw.defaultJobOptions,
+    },
+    worker,
+    deadLetter: normalizeDeadLetter(raw),
+  };
+}
+
+// `deadLetter: true` uses "<name>-dlq"; `{ queue }` names the dead-letter queue
+function normalizeDeadLetter(raw) {
+  if (!raw.deadLetter) {
+    return null;
+  }
+
+  return {
+    queue: raw.deadLetter.queue || `${raw.name}-dlq`,
+  };
+}
+
+// Apply QUEUE_<ALIAS>_* environment variables on top of a definition
+function applyEnvironmentOverrides(definition) {
+  const prefix = `QUEUE_${definition.alias.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (key) => process.env[prefix + key];
+
+  if (env('JOB_OPTIONS')) {
+    try {
+      Object.assign(definition.defaultJobOptions, JSON.parse(env('JOB_OPTIONS')));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${prefix}JOB_OPTIONS: ${error.message}`);
+    }
+  }
+
+  if (env('DEAD_LETTER')) {
+    const value = env('DEAD_LETTER');
+    definition.deadLetter = value === 'false' ? null : normalizeDeadLetter({
+      name: definition.name,
+      deadLetter: value === 'true' ? true : { queue: value },
+    });
+  }
+
+  if (definition.worker) {
+    if (env('CONCURRENCY')) {
+      definition.worker.concurrency = parseInt(env('CONCURRENCY'));
+    }
+
+    if (env('TIMEOUT')) {
+      definition.worker.timeout = parseInt(env('TIMEOUT'));
+    }
+
+    if (env('LIMITER_MAX') && env('LIMITER_DURATION')) {
+      definition.worker.limiter = {
+        max: parseInt(env('LIMITER_MAX')),
+        duration: parseInt(env('LIMITER_DURATION')),
+      };
+    }
+  }
+
+  return definition;
+}
+
+// Check a definition's dead-letter queue against the registered queues. Dead letters added
+// to a queue with a worker would be processed again, or loop forever when it is the source.
+// Returns a { field, message, keyword } error, or null when the dead-letter setup is fine.
+function checkDeadLetterQueue(definition) {
+  const { name, alias, deadLetter } = definition;
+
+  if (deadLetter) {
+    if (typeof deadLetter.queue !== 'string' || !/^[\w-]+$/.test(deadLetter.queue)) {
+      return { field: 'deadLetter.queue', message: 'may only contain letters, digits, "_" and "-"', keyword: 'pattern' };
+    }
+    if (deadLetter.queue === name || deadLetter.queue === alias) {
+      return { field: 'deadLetter.queue', message: 'cannot be the queue itself', keyword: 'not' };
+    }
+    if (getQueueDefinition(deadLetter.queue)) {
+      return { field: 'deadLetter.queue', message: `'${deadLetter.queue}' is a registered queue`, keyword: 'not' };
+    }
+  }
+
+  const source = getQueueDefinitions()
+    .find(existing => existing.deadLetter && [name, alias].includes(existing.deadLetter.queue));
+  return source
+    ? { field: 'name', message: `'${source.deadLetter.queue}' is the dead-letter queue of '${source.name}'`, keyword: 'not' }
+    : null;
+}
+
+// Register a queue definition
+function registerQueueDefinition(raw) {
+  const definition = applyEnvironmentOverrides(normalizeDefinition(raw));
+
+  for (const existing of definitions.values()) {
+    if (existing.alias === definition.alias || existing.name === definition.name) {
+      throw new Error(`Queue '${definition.name}' (alias '${definition.alias}') is already registered`);
+    }
+  }
+
+  const deadLetterProblem = checkDeadLetterQueue(definition);
+  if (deadLetterProblem) {
+    throw new Error(`Queue '${definition.name}': ${deadLetterProblem.field} ${deadLetterProblem.message}`);
+  }
+
+  definitions.set(definition.alias, definition);
+  return definition;
+}
+
+// Remove a queue definition
+function unregisterQueueDefinition(queueName) {
+  const definition = getQueueDefinition(queueName);
+  if (!definition) {
+    return false;
+  }
+  return definitions.delete(definition.alias);
+}
+
+// Get all queue definitions
+function getQueueDefinitions() {
+  return Array.from(definitions.values());
+}
+
+// Get a queue definition by alias or full queue name
+function getQueueDefinition(queueName) {
+  if (definitions.has(queueName)) {
+    return definitions.get(queueName);
+  }
+  return getQueueDefinitions().find(definition => definition.name === queueName);
+}
+
+module.exports = {
+  loadQueueDefinitions,
+  normalizeDefinition,
+  checkDeadLetterQueue,
+  registerQueueDefinition,
+  unregisterQueueDefinition,
+  getQueueDefinitions,
+  getQueueDefinition,
+};
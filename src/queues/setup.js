@@ -2,14 +2,15 @@ const { Queue, JobScheduler } = require('bullmq');
 const config = require('../../config');
 const chalk = require('chalk');
 
-// Queue instances
-let emailQueue;
-let imageProcessingQueue;
-let priorityQueue;
-let delayedQueue;
-let recurringQueue;
-let dependencyQueue;
-let rateLimitedQueue;
+const {
+  loadQueueDefinitions,
+  unregisterQueueDefinition,
+  getQueueDefinitions,
+  getQueueDefinition,
+} = require('./registry');
+
+// Queue instances keyed by alias
+const queues = new Map();
 
 // Queue scheduler for delayed jobs
 let queueScheduler;
@@ -25,77 +26,10 @@ async function setupQueues() {
   try {
     console.log(chalk.blue('📦 Setting up BullMQ queues...'));
 
-    // 1. Basic Email Queue
-    emailQueue = new Queue('email-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-        attempts: 3,
-        backoff: {
-          type: 'exponential',
-          delay: 2000,
-        },
-      },
-    });
-
-    // 2. Image Processing Queue with concurrency control
-    imageProcessingQueue = new Queue('image-processing-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-        attempts: 2,
-        timeout: 30000, // 30 seconds timeout
-      },
-    });
-
-    // 3. Priority Queue for urgent tasks
-    priorityQueue = new Queue('priority-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-        priority: 0, // Default priority
-      },
-    });
-
-    // 4. Delayed Queue for scheduled tasks
-    delayedQueue = new Queue('delayed-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-        delay: 0, // No default delay
-      },
-    });
-
-    // 5. Recurring Queue for periodic tasks
-    recurringQueue = new Queue('recurring-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-      },
-    });
-
-    // 6. Dependency Queue for job dependencies
-    dependencyQueue = new Queue('dependency-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-      },
-    });
-
-    // 7. Rate Limited Queue
-    rateLimitedQueue = new Queue('rate-limited-queue', {
-      connection,
-      defaultJobOptions: {
-        removeOnComplete: config.queue.removeOnComplete,
-        removeOnFail: config.queue.removeOnFail,
-      },
-    });
+    // Create a queue for every registered definition
+    for (const definition of loadQueueDefinitions()) {
+      createQueue(definition);
+    }
 
     // Setup Queue Scheduler for delayed jobs
     queueScheduler = new JobScheduler('delayed-queue', {
@@ -104,86 +38,104 @@ async function setupQueues() {
 
     console.log(chalk.green('✅ All queues setup successfully!'));
 
-    // Setup queue event listeners for monitoring
-    setupQueueEventListeners();
-
   } catch (error) {
     console.error(chalk.red('❌ Error setting up queues:'), error);
     throw error;
   }
 }
 
-function setupQueueEventListeners() {
-  const queues = [
-    { name: 'Email', queue: emailQueue },
-    { name: 'Image Processing', queue: imageProcessingQueue },
-    { name: 'Priority', queue: priorityQueue },
-    { name: 'Delayed', queue: delayedQueue },
-    { name: 'Recurring', queue: recurringQueue },
-    { name: 'Dependency', queue: dependencyQueue },
-    { name: 'Rate Limited', queue: rateLimitedQueue },
-  ];
-
-  queues.forEach(({ name, queue }) => {
-    queue.on('waiting', (job) => {
-      console.log(chalk.yellow(`⏳ [${name}] Job ${job.id} waiting`));
-    });
+// Create a queue from its definition
+function createQueue(definition) {
+  const queue = new Queue(definition.name, {
+    connection,
+    defaultJobOptions: definition.defaultJobOptions,
+  });
 
-    queue.on('active', (job) => {
-      console.log(chalk.blue(`🔄 [${name}] Job ${job.id} started processing`));
-    });
+  queues.set(definition.alias, queue);
 
-    queue.on('completed', (job) => {
-      console.log(chalk.green(`✅ [${name}] Job ${job.id} completed`));
-    });
+  // Setup queue event listeners for monitoring
+  setupQueueEventListeners(queue, definition.label);
 
-    queue.on('failed', (job, err) => {
-      console.log(chalk.red(`❌ [${name}] Job ${job.id} failed: ${err.message}`));
-    });
+  return queue;
+}
 
-    queue.on('stalled', (job) => {
-      console.log(chalk.orange(`⚠️ [${name}] Job ${job.id} stalled`));
-    });
+function setupQueueEventListeners(queue, name) {
+  queue.on('waiting', (job) => {
+    console.log(chalk.yellow(`⏳ [${name}] Job ${job.id} waiting`));
+  });
+
+  queue.on('active', (job) => {
+    console.log(chalk.blue(`🔄 [${name}] Job ${job.id} started processing`));
+  });
+
+  queue.on('completed', (job) => {
+    console.log(chalk.green(`✅ [${name}] Job ${job.id} completed`));
+  });
+
+  queue.on('failed', (job, err) => {
+    console.log(chalk.red(`❌ [${name}] Job ${job.id} failed: ${err.message}`));
+  });
+
+  queue.on('stalled', (job) => {
+    console.log(chalk.orange(`⚠️ [${name}] Job ${job.id} stalled`));
   });
 }
 
-// Get all queues
+// Get all queues keyed by alias
 function getQueues() {
-  return {
-    emailQueue,
-    imageProcessingQueue,
-    priorityQueue,
-    delayedQueue,
-    recurringQueue,
-    dependencyQueue,
-    rateLimitedQueue,
-  };
+  const result = {};
+  for (const definition of getQueueDefinitions()) {
+    result[definition.alias] = queues.get(definition.alias);
+  }
+  return result;
 }
 
-// Get specific queue by name
+// Get specific queue by alias or full queue name
 function getQueue(queueName) {
-  const queues = getQueues();
-  const queueMap = {
-    'email': queues.emailQueue,
-    'image-processing': queues.imageProcessingQueue,
-    'priority': queues.priorityQueue,
-    'delayed': queues.delayedQueue,
-    'recurring': queues.recurringQueue,
-    'dependency': queues.dependencyQueue,
-    'rate-limited': queues.rateLimitedQueue,
-  };
-  return queueMap[queueName];
+  const definition = getQueueDefinition(queueName);
+  return definition ? queues.get(definition.alias) : undefined;
+}
+
+// Obliterate a queue and drop it from the registry
+async function removeQueue(queueName, { force = false } = {}) {
+  const definition = getQueueDefinition(queueName);
+  const queue = definition && queues.get(definition.alias);
+
+  if (!queue) {
+    return false;
+  }
+
+  await queue.obliterate({ force });
+  await queue.close();
+  queues.delete(definition.alias);
+  unregisterQueueDefinition(definition.alias);
+
+  console.log(chalk.yellow(`🗑️ Removed queue '${definition.name}'`));
+  return true;
+}
+
+// Close a queue and drop it from the registry, keeping its data in Redis
+async function closeQueue(queueName) {
+  const definition = getQueueDefinition(queueName);
+  if (!definition) {
+    return false;
+  }
+
+  const queue = queues.get(definition.alias);
+  if (queue) {
+    await queue.close();
+    queues.delete(definition.alias);
+  }
+  unregisterQueueDefinition(definition.alias);
+  return true;
 }
 
 // Clean up queues
 async function cleanupQueues() {
   try {
-    const queues = getQueues();
-    for (const [name, queue] of Object.entries(queues)) {
-      if (queue) {
-        await queue.close();
-        console.log(chalk.yellow(`🔒 Closed ${name}`));
-      }
+    for (const [name, queue] of queues) {
+      await queue.close();
+      console.log(chalk.yellow(`🔒 Closed ${name} queue`));
     }
     if (queueScheduler) {
       await queueScheduler.close();
@@ -198,5 +150,8 @@ module.exports = {
   setupQueues,
   getQueues,
   getQueue,
+  createQueue,
+  removeQueue,
+  closeQueue,
   cleanupQueues,
 };
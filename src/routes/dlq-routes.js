@@ -0,0 +1,220 @@
+const express = require('express');
+const {
+  getDeadLetterQueue,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetters,
+} = require('../dlq/setup');
+const router = express.Router();
+
+function notFound(res, queueName) {
+  return res.status(404).json({
+    success: false,
+    error: `Queue '${queueName}' not found or has no dead-letter queue`,
+  });
+}
+
+// List dead-lettered jobs of a queue
+router.get('/:queueName', async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    if (!getDeadLetterQueue(queueName)) {
+      return notFound(res, queueName);
+    }
+
+    const result = await listDeadLetters(queueName, {
+      offset: parseInt(offset),
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        queue: result.queue,
+        jobs: result.jobs,
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          total: result.total,
+          hasMore: parseInt(offset) + parseInt(limit) < result.total,
+        },
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get a dead-lettered job with its attempt history
+router.get('/:queueName/:jobId', async (req, res) => {
+  try {
+    const { queueName, jobId } = req.params;
+
+    if (!getDeadLetterQueue(queueName)) {
+      return notFound(res, queueName);
+    }
+
+    const deadLetter = await getDeadLetter(queueName, jobId);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead-lettered job '${jobId}' not found for queue '${queueName}'`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deadLetter,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Replay dead-lettered jobs into the source queue: { jobs: [{ jobId, data }] }, { jobIds }, or all
+router.post('/:queueName/replay', async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const { jobs, jobIds } = req.body || {};
+
+    if (!getDeadLetterQueue(queueName)) {
+      return notFound(res, queueName);
+    }
+
+    if ((jobs !== undefined && !Array.isArray(jobs)) || (jobIds !== undefined && !Array.isArray(jobIds))) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobs and jobIds must be arrays',
+      });
+    }
+
+    const targets = jobs || (jobIds && jobIds.map(jobId => ({ jobId: String(jobId) })));
+    const results = await replayDeadLetters(queueName, targets);
+
+    res.json({
+      success: true,
+      data: {
+        replayed: results.filter(result => result.status === 'replayed').length,
+        results,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Replay a single dead-lettered job, optionally with edited data
+router.post('/:queueName/:jobId/replay', async (req, res) => {
+  try {
+    const { queueName, jobId } = req.params;
+    const { data } = req.body || {};
+
+    if (!getDeadLetterQueue(queueName)) {
+      return notFound(res, queueName);
+    }
+
+    const result = await replayDeadLetter(queueName, jobId, { data });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead-lettered job '${jobId}' not found for queue '${queueName}'`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Dead-lettered job ${jobId} replayed as job ${result.jobId}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Purge the dead-letter queue, or only the given { jobIds }
+router.delete('/:queueName', async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const { jobIds } = req.body || {};
+
+    if (!getDeadLetterQueue(queueName)) {
+      return notFound(res, queueName);
+    }
+
+    if (jobIds !== undefined && !Array.isArray(jobIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobIds must be an array',
+      });
+    }
+
+    const result = await purgeDeadLetters(queueName, jobIds && jobIds.map(String));
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Purged ${result.purged} dead-lettered jobs`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Remove a single dead-lettered job
+router.delete('/:queueName/:jobId', async (req, res) => {
+  try {
+    const { queueName, jobId } = req.params;
+
+    if (!getDeadLetterQueue(queueName)) {
+      return notFound(res, queueName);
+    }
+
+    const { purged } = await purgeDeadLetters(queueName, [jobId]);
+
+    if (!purged) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead-lettered job '${jobId}' not found for queue '${queueName}'`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Dead-lettered job ${jobId} removed`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { addFlow, getFlowTree, FlowValidationError } = require('../flows/setup');
+const { JobValidationError } = require('../jobs/submit');
+const router = express.Router();
+
+// Create a flow (tree of parent/child jobs across queues)
+router.post('/', async (req, res) => {
+  try {
+    const flow = await addFlow(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: flow,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error instanceof JobValidationError) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        details: error.errors,
+      });
+    }
+
+    res.status(error instanceof FlowValidationError ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get a flow tree with the state of each node
+router.get('/:queueName/:jobId', async (req, res) => {
+  try {
+    const { queueName, jobId } = req.params;
+    const { depth = 10, maxChildren = 100 } = req.query;
+
+    const flow = await getFlowTree(queueName, jobId, {
+      depth: parseInt(depth),
+      maxChildren: parseInt(maxChildren),
+    });
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        error: `Flow with root job '${jobId}' not found in queue '${queueName}'`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: flow,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
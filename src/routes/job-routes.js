@@ -1,12 +1,26 @@
 const express = require('express');
 const { getQueue } = require('../queues/setup');
+const { parseJobFilter, JobFilterError } = require('../jobs/filters');
+const { BULK_ACTIONS, MAX_BULK_JOBS, MAX_BULK_SCAN, runBulkOperation } = require('../jobs/bulk');
+const { JOB_STATES, ORDERS, PaginationError, listJobs } = require('../jobs/pagination');
+const { serializeJob } = require('../jobs/serialize');
+const { searchJobs } = require('../jobs/search');
 const router = express.Router();
 
-// Get all jobs from a queue
+// Largest page the job listing returns
+const MAX_PAGE_SIZE = 1000;
+
+// Search limits: matches returned and jobs examined per request
+const MAX_SEARCH_RESULTS = 500;
+const DEFAULT_SEARCH_SCAN = 5000;
+const MAX_SEARCH_SCAN = 10000;
+
+// Get jobs from a queue, one page at a time
 router.get('/:queueName', async (req, res) => {
   try {
     const { queueName } = req.params;
-    const { status = 'waiting', limit = 50, offset = 0 } = req.query;
+    const { status = 'waiting', order = 'desc', limit = 50, cursor } = req.query;
+    const states = String(req.query.states || status).split(',').map(state => state.trim()).filter(Boolean);
     const queue = getQueue(queueName);
 
     if (!queue) {
@@ -16,67 +30,193 @@ router.get('/:queueName', async (req, res) => {
       });
     }
 
-    let jobs = [];
-    let total = 0;
-
-    switch (status) {
-      case 'waiting':
-        jobs = await queue.getWaiting(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-        break;
-      case 'active':
-        jobs = await queue.getActive(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-        break;
-      case 'completed':
-        jobs = await queue.getCompleted(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-        break;
-      case 'failed':
-        jobs = await queue.getFailed(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-        break;
-      case 'delayed':
-        jobs = await queue.getDelayed(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid status. Use: waiting, active, completed, failed, delayed',
-        });
+    const invalidStates = states.filter(state => !JOB_STATES.includes(state));
+    if (states.length === 0 || invalidStates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one or more of: ${JOB_STATES.join(', ')}`,
+      });
     }
 
-    // Get total count
-    const allJobs = await queue.getJobs([status]);
-    total = allJobs.length;
+    if (!ORDERS.includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid order. Use: ${ORDERS.join(', ')}`,
+      });
+    }
 
-    const jobData = jobs.map(job => ({
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      opts: job.opts,
-      progress: job.progress,
-      timestamp: job.timestamp,
-      processedOn: job.processedOn,
-      finishedOn: job.finishedOn,
-      failedReason: job.failedReason,
-      attemptsMade: job.attemptsMade,
-      delay: job.delay,
-      priority: job.opts.priority,
-    }));
+    const pageSize = parseInt(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    // A cursor carries the states and order of the listing it came from
+    const page = await listJobs(queue, { states: [...new Set(states)], order, limit: pageSize, cursor });
 
     res.json({
       success: true,
       data: {
-        jobs: jobData,
+        jobs: page.items.map(({ job, state }) => serializeJob(job, state)),
+        counts: page.counts,
         pagination: {
-          status,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          total,
-          hasMore: offset + limit < total,
+          states: page.states,
+          order: page.order,
+          limit: pageSize,
+          total: page.total,
+          nextCursor: page.nextCursor,
+          hasMore: page.nextCursor !== null,
         },
       },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error instanceof PaginationError ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Search jobs by name, data predicates, failedReason regex and time window.
+// Defined before /:queueName/:jobId so "search" is not taken for a job ID.
+router.get('/:queueName/search', async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const { name, data, failedReason, from, to, timeField, limit = 50, maxScan = DEFAULT_SEARCH_SCAN, cursor } = req.query;
+    const states = req.query.states
+      ? String(req.query.states).split(',').map(state => state.trim()).filter(Boolean)
+      : JOB_STATES;
+    const queue = getQueue(queueName);
+
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        error: `Queue '${queueName}' not found`,
+      });
+    }
+
+    const invalidStates = states.filter(state => !JOB_STATES.includes(state));
+    if (states.length === 0 || invalidStates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid states. Use one or more of: ${JOB_STATES.join(', ')}`,
+      });
+    }
+
+    const resultLimit = parseInt(limit);
+    const scanLimit = parseInt(maxScan);
+    if (!(resultLimit >= 1 && resultLimit <= MAX_SEARCH_RESULTS) || !(scanLimit >= 1 && scanLimit <= MAX_SEARCH_SCAN)) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_SEARCH_RESULTS}, maxScan between 1 and ${MAX_SEARCH_SCAN}`,
+      });
+    }
+
+    const filter = parseJobFilter({ name, data, failedReasonPattern: failedReason, from, to, timeField });
+    const result = await searchJobs(queue, {
+      states: [...new Set(states)],
+      filter,
+      limit: resultLimit,
+      maxScan: scanLimit,
+      cursor,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs: result.items.map(({ job, state }) => serializeJob(job, state)),
+        search: {
+          states: result.states,
+          limit: resultLimit,
+          scanned: result.scanned,
+          nextCursor: result.nextCursor,
+          hasMore: result.nextCursor !== null,
+        },
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(error instanceof JobFilterError || error instanceof PaginationError ? 400 : 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Bulk retry / promote / remove of the jobs matching a filter.
+// Defined before the /:queueName/:jobId routes so "bulk" is not taken for a job ID.
+router.post('/:queueName/bulk/:action', async (req, res) => {
+  try {
+    const { queueName, action } = req.params;
+    const { states, limit = 1000, maxScan = MAX_BULK_SCAN, dryRun } = req.body || {};
+    const queue = getQueue(queueName);
+
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        error: `Queue '${queueName}' not found`,
+      });
+    }
+
+    if (!BULK_ACTIONS[action]) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown bulk action '${action}'. Use: ${Object.keys(BULK_ACTIONS).join(', ')}`,
+      });
+    }
+
+    // Removal needs explicit states; retry and promote have a fixed source state
+    const allowedStates = BULK_ACTIONS[action].states;
+    let targetStates = allowedStates;
+    if (action === 'remove') {
+      targetStates = Array.isArray(states) ? states : [];
+      const invalid = targetStates.filter(state => !allowedStates.includes(state));
+
+      if (targetStates.length === 0 || invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `states must be a non-empty array of: ${allowedStates.join(', ')}`,
+        });
+      }
+    }
+
+    if (!Number.isInteger(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > MAX_BULK_JOBS) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_BULK_JOBS}`,
+      });
+    }
+
+    if (!Number.isInteger(parseInt(maxScan)) || parseInt(maxScan) < 1 || parseInt(maxScan) > MAX_BULK_SCAN) {
+      return res.status(400).json({
+        success: false,
+        error: `maxScan must be between 1 and ${MAX_BULK_SCAN}`,
+      });
+    }
+
+    const report = await runBulkOperation(queue, action, {
+      states: targetStates,
+      filter: parseJobFilter(req.body || {}),
+      limit: parseInt(limit),
+      maxScan: parseInt(maxScan),
+      dryRun: dryRun === true || req.query.dryRun === 'true',
+    });
+
+    const summary = report.dryRun
+      ? `${report.matched} jobs would be affected by ${action}`
+      : `${action}: ${report.succeeded} succeeded, ${report.failed} failed`;
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.scanLimitReached ? `${summary} (stopped after examining ${report.scanned} jobs)` : summary,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(error instanceof JobFilterError ? 400 : 500).json({
       success: false,
       error: error.message,
     });
@@ -8,8 +8,65 @@ const {
   getSystemHealth 
 } = require('../monitor/setup');
 const { getRecurringJobs } = require('../scheduler/setup');
+const { getWorkerStatus } = require('../workers/setup');
+const { getQueue } = require('../queues/setup');
+const { getQueueDefinition, getQueueDefinitions } = require('../queues/registry');
+const { queryMetrics, RESOLUTIONS } = require('../monitor/metrics');
+const {
+  jobEvents,
+  getCachedJobName,
+  resolveJobName,
+  compareEventIds,
+  getLatestEventId,
+  readEventsAfter,
+} = require('../monitor/events');
+const config = require('../../config');
 const router = express.Router();
 
+// Longest time range the metrics endpoint will scan
+const MAX_METRICS_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+// Job lifecycle events pushed by the SSE stream
+const STREAM_EVENTS = ['waiting', 'active', 'progress', 'completed', 'failed', 'stalled'];
+
+// Most events replayed per queue when a client resumes with Last-Event-ID
+const MAX_REPLAY_EVENTS = 1000;
+
+// Parse an ISO date or epoch milliseconds query value
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+// Split a comma-separated query value
+function parseList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// SSE event IDs carry the last stream ID sent for every queue of the connection
+function encodeStreamCursor(positions) {
+  return Buffer.from(JSON.stringify(positions)).toString('base64url');
+}
+
+function decodeStreamCursor(value) {
+  try {
+    const positions = JSON.parse(Buffer.from(value, 'base64url').toString());
+    return Object.fromEntries(Object.entries(positions)
+      .filter(([, id]) => /^\d+-\d+$/.test(id)));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeStreamEvent(res, event, data, id) {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 // Get overall monitoring dashboard data
 router.get('/dashboard', async (req, res) => {
   try {
@@ -142,6 +199,65 @@ router.get('/performance', async (req, res) => {
   }
 });
 
+// Get Redis-backed time-series metrics for a queue
+router.get('/metrics/:queueName', async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const { resolution = '1m' } = req.query;
+    const queue = getQueue(queueName);
+
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        error: `Queue '${queueName}' not found`,
+      });
+    }
+
+    const to = parseTime(req.query.to, Date.now());
+    const from = parseTime(req.query.from, to - 60 * 60 * 1000);
+
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO dates or epoch milliseconds, with from <= to',
+      });
+    }
+
+    if (!RESOLUTIONS[resolution]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid resolution '${resolution}'. Use: ${Object.keys(RESOLUTIONS).join(', ')}`,
+      });
+    }
+
+    if (to - from > MAX_METRICS_RANGE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Metrics range cannot exceed 7 days',
+      });
+    }
+
+    const points = await queryMetrics(queue, { from, to, resolution });
+
+    res.json({
+      success: true,
+      data: {
+        queueName: queue.name,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        resolution,
+        points,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Get alerts
 router.get('/alerts', async (req, res) => {
   try {
@@ -183,6 +299,27 @@ router.delete('/alerts', async (req, res) => {
   }
 });
 
+// Get worker status, including sandboxed child process / thread IDs
+router.get('/workers', async (req, res) => {
+  try {
+    const workers = getWorkerStatus();
+
+    res.json({
+      success: true,
+      data: {
+        workers,
+        count: Object.keys(workers).length,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Get recurring jobs status
 router.get('/recurring', async (req, res) => {
   try {
@@ -318,7 +455,158 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Get real-time metrics (for WebSocket-like updates)
+// Stream job lifecycle events and queue counts with Server-Sent Events
+router.get('/stream', async (req, res) => {
+  const queueFilter = parseList(req.query.queue);
+  const nameFilter = parseList(req.query.name);
+  const eventFilter = parseList(req.query.events);
+
+  const unknownQueues = queueFilter.filter(queueName => !getQueueDefinition(queueName));
+  if (unknownQueues.length > 0) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown queue(s): ${unknownQueues.join(', ')}`,
+    });
+  }
+
+  const unknownEvents = eventFilter.filter(event => !STREAM_EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown event(s): ${unknownEvents.join(', ')}. Use: ${STREAM_EVENTS.join(', ')}`,
+    });
+  }
+
+  const definitions = queueFilter.length > 0 ? queueFilter.map(getQueueDefinition) : getQueueDefinitions();
+  const queues = new Map(definitions.map(definition => [definition.name, {
+    definition,
+    queue: getQueue(definition.name),
+  }]));
+  const events = eventFilter.length > 0 ? eventFilter : STREAM_EVENTS;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  // Last stream ID handled per queue
+  const positions = {};
+  // Live events received while the missed ones are replayed
+  let pending = [];
+  let delivery = Promise.resolve();
+  let closed = false;
+
+  const deliver = async (event) => {
+    const { queueName, id, event: type, jobId, ...details } = event;
+    if (closed || compareEventIds(id, positions[queueName]) <= 0) {
+      return;
+    }
+    positions[queueName] = id;
+
+    if (!events.includes(type)) {
+      return;
+    }
+
+    const { definition, queue } = queues.get(queueName);
+    const jobName = nameFilter.length > 0
+      ? await resolveJobName(queue, jobId)
+      : getCachedJobName(queueName, jobId);
+
+    if (closed || (nameFilter.length > 0 && !nameFilter.includes(jobName))) {
+      return;
+    }
+
+    if (type === 'progress') {
+      details.progress = details.data;
+      delete details.data;
+    }
+
+    writeStreamEvent(res, type, {
+      queue: definition.alias,
+      queueName,
+      event: type,
+      jobId,
+      jobName,
+      ...details,
+      timestamp: new Date(Number(id.split('-')[0])).toISOString(),
+    }, encodeStreamCursor(positions));
+  };
+
+  const enqueue = (event) => {
+    delivery = delivery.then(() => deliver(event)).catch(error => {
+      console.error('Error streaming monitor event:', error);
+    });
+  };
+
+  const onEvent = (event) => {
+    if (!queues.has(event.queueName)) {
+      return;
+    }
+    if (pending) {
+      pending.push(event);
+    } else {
+      enqueue(event);
+    }
+  };
+
+  const sendSnapshot = () => {
+    writeStreamEvent(res, 'snapshot', {
+      queues: Array.from(queues.values()).map(({ definition }) => {
+        const status = getQueueStatus(definition.name) || {};
+        return {
+          queue: definition.alias,
+          queueName: definition.name,
+          waiting: status.waiting,
+          active: status.active,
+          completed: status.completed,
+          failed: status.failed,
+          delayed: status.delayed,
+          paused: status.paused,
+        };
+      }),
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  jobEvents.on('event', onEvent);
+  const snapshotTimer = setInterval(sendSnapshot, config.monitor.streamSnapshotInterval);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(snapshotTimer);
+    jobEvents.off('event', onEvent);
+  });
+
+  try {
+    const resumeFrom = decodeStreamCursor(req.get('Last-Event-ID') || req.query.lastEventId || '');
+
+    for (const [queueName, { queue }] of queues) {
+      positions[queueName] = resumeFrom[queueName] || await getLatestEventId(queue);
+    }
+
+    // Replay what the client missed since its last event, oldest first
+    const missed = await Promise.all(Array.from(queues)
+      .filter(([queueName]) => resumeFrom[queueName])
+      .map(([queueName, { queue }]) => readEventsAfter(queue, resumeFrom[queueName], MAX_REPLAY_EVENTS)));
+
+    missed.flat()
+      .sort((a, b) => compareEventIds(a.id, b.id))
+      .forEach(enqueue);
+
+    pending.forEach(enqueue);
+    pending = null;
+
+    sendSnapshot();
+  } catch (error) {
+    writeStreamEvent(res, 'error', { error: error.message });
+    res.end();
+  }
+});
+
+// Get real-time metrics (one-shot; use /stream for live updates)
 router.get('/realtime', async (req, res) => {
   try {
     const monitoringData = getMonitoringData();
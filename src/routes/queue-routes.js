@@ -1,8 +1,99 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const { getQueue } = require('../queues/setup');
+const { StringDecoder } = require('string_decoder');
+const bytes = require('bytes');
+const Ajv = require('ajv');
+const config = require('../../config');
+const { getQueue, createQueue, removeQueue, closeQueue } = require('../queues/setup');
+const { normalizeDefinition, checkDeadLetterQueue, registerQueueDefinition, getQueueDefinition } = require('../queues/registry');
+const { createWorker, removeWorker } = require('../workers/setup');
+const { monitorQueue, unmonitorQueue } = require('../monitor/setup');
+const { getRateLimitState } = require('../workers/rate-limits');
+const { addQueueToDashboard, removeQueueFromDashboard } = require('../dashboard/bull-board-setup');
+const { closeDeadLetterQueue } = require('../dlq/setup');
+const { submitJob, createBulkSubmission, JobValidationError, JOB_OPTIONS_SCHEMA, toFieldErrors } = require('../jobs/submit');
+const { resolveProcessorPath } = require('../processors/loader');
 const router = express.Router();
 
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Worker settings a queue registered through the API may use. Processors are named
+// sets from the processors directories, never module paths.
+const RUNTIME_WORKER_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    processor: { type: 'string', pattern: '^[\\w-]+$', maxLength: 64 },
+    concurrency: { type: 'integer', minimum: 1, maximum: 50 },
+    timeout: { type: 'integer', minimum: 1, maximum: 24 * 60 * 60 * 1000 },
+    limiter: {
+      type: 'object',
+      required: ['max', 'duration'],
+      additionalProperties: false,
+      properties: {
+        max: { type: 'integer', minimum: 1 },
+        duration: { type: 'integer', minimum: 1 },
+      },
+    },
+    groupLimiter: {
+      type: 'object',
+      required: ['field', 'max', 'duration'],
+      additionalProperties: false,
+      properties: {
+        field: { type: 'string', minLength: 1, maxLength: 128 },
+        keyType: { enum: ['host'] },
+        max: { type: 'integer', minimum: 1 },
+        duration: { type: 'integer', minimum: 1 },
+      },
+    },
+    sandbox: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        mode: { enum: ['process', 'thread'] },
+        maxMemoryMb: { type: 'integer', minimum: 64, maximum: 4096 },
+      },
+    },
+    retryPolicy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        permanent: { type: 'array', items: { type: 'string', minLength: 1 } },
+        retryable: { type: 'array', items: { type: 'string', minLength: 1 } },
+      },
+    },
+  },
+};
+
+const validateRuntimeWorker = ajv.compile(RUNTIME_WORKER_SCHEMA);
+
+// Defaults of a queue registered at runtime: the options a job may set, except the per-job
+// jobId and deduplication, which would make every job of the queue a duplicate
+const validateDefaultJobOptions = ajv.compile({
+  ...JOB_OPTIONS_SCHEMA,
+  properties: Object.fromEntries(Object.entries(JOB_OPTIONS_SCHEMA.properties)
+    .filter(([option]) => !['jobId', 'deduplication'].includes(option))),
+});
+
+// Check the worker settings of a queue registered at runtime; returns { field, message, keyword } errors
+function checkRuntimeWorker(alias, worker) {
+  if (worker === undefined || worker === null || typeof worker === 'boolean') {
+    return [];
+  }
+
+  if (!validateRuntimeWorker(worker)) {
+    return toFieldErrors(validateRuntimeWorker.errors, 'worker');
+  }
+
+  if (!resolveProcessorPath({ alias, worker, runtime: true })) {
+    return [{
+      field: 'worker.processor',
+      message: `no processor '${worker.processor || alias}' in the processors directory`,
+      keyword: 'enum',
+    }];
+  }
+  return [];
+}
+
 // Get all queues status
 router.get('/', async (req, res) => {
   try {
@@ -47,6 +138,96 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Register a new queue at runtime
+router.post('/', async (req, res) => {
+  try {
+    const { name, alias, label, description, defaultJobOptions = {}, worker, deadLetter } = req.body;
+
+    if (!name || !/^[\w-]+$/.test(name) || (alias && !/^[\w-]+$/.test(alias))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Queue name is required and may only contain letters, digits, "_" and "-"',
+      });
+    }
+
+    if (getQueueDefinition(name) || (alias && getQueueDefinition(alias))) {
+      return res.status(409).json({
+        success: false,
+        error: `Queue '${alias || name}' already exists`,
+      });
+    }
+
+    const deadLetterError = checkDeadLetterQueue(normalizeDefinition({ name, alias, deadLetter, worker: false }));
+    if (deadLetterError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid dead-letter settings',
+        details: [deadLetterError],
+      });
+    }
+
+    const workerErrors = checkRuntimeWorker(alias || name.replace(/-queue$/, ''), worker);
+    if (workerErrors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid worker settings',
+        details: workerErrors,
+      });
+    }
+
+    if (!validateDefaultJobOptions(defaultJobOptions)) {
+      return res.status(422).json({
+        success: false,
+        error: 'Invalid default job options',
+        details: toFieldErrors(validateDefaultJobOptions.errors, 'defaultJobOptions'),
+      });
+    }
+
+    const definition = registerQueueDefinition({
+      name,
+      alias,
+      label,
+      description,
+      defaultJobOptions,
+      // Runtime queues get no worker unless one is requested
+      worker: worker === true ? { processor: 'generic' } : worker || false,
+      deadLetter,
+      runtime: true,
+    });
+
+    let queue;
+    try {
+      queue = createQueue(definition);
+      if (definition.worker) {
+        createWorker(definition);
+      }
+    } catch (error) {
+      // Leave no half-registered queue behind
+      await closeQueue(definition.name);
+      throw error;
+    }
+    await monitorQueue(definition.name);
+    addQueueToDashboard(queue, definition.name, definition);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        name: definition.name,
+        alias: definition.alias,
+        defaultJobOptions: definition.defaultJobOptions,
+        worker: definition.worker,
+        deadLetter: definition.deadLetter,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Get specific queue status
 router.get('/:queueName', async (req, res) => {
   try {
@@ -60,13 +241,14 @@ router.get('/:queueName', async (req, res) => {
       });
     }
 
-    const [waiting, active, completed, failed, delayed, paused] = await Promise.all([
+    const [waiting, active, completed, failed, delayed, paused, rateLimit] = await Promise.all([
       queue.getWaiting(),
       queue.getActive(),
       queue.getCompleted(),
       queue.getFailed(),
       queue.getDelayed(),
       queue.isPaused(),
+      getRateLimitState(queue, getQueueDefinition(queueName)),
     ]);
 
     res.json({
@@ -85,6 +267,7 @@ router.get('/:queueName', async (req, res) => {
           failed: failed.slice(0, 10),
           delayed: delayed.slice(0, 10),
         },
+        rateLimit,
       },
       timestamp: new Date().toISOString(),
     });
@@ -96,122 +279,72 @@ router.get('/:queueName', async (req, res) => {
   }
 });
 
-// Add job to email queue
-router.post('/email/add', async (req, res) => {
-  try {
-    const { recipient, subject, body, priority = 0 } = req.body;
-    const queue = getQueue('email');
-
-    if (!recipient || !subject) {
-      return res.status(400).json({
-        success: false,
-        error: 'Recipient and subject are required',
-      });
-    }
+// Validate and add a job: { name, data, opts }
+router.post('/:queueName/jobs', async (req, res) => {
+  const definition = getQueueDefinition(req.params.queueName);
 
-    const job = await queue.add('send-email', {
-      recipient,
-      subject,
-      body: body || 'Default email body',
-      timestamp: new Date().toISOString(),
-    }, {
-      priority,
-      jobId: uuidv4(),
-    });
-
-    res.json({
-      success: true,
-      data: {
-        jobId: job.id,
-        queue: 'email',
-        status: 'queued',
-        priority,
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(500).json({
+  if (!definition) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
+      error: `Queue '${req.params.queueName}' not found`,
     });
   }
-});
 
-// Add job to image processing queue
-router.post('/image-processing/add', async (req, res) => {
-  try {
-    const { imageUrl, operations = ['resize', 'compress'], priority = 0 } = req.body;
-    const queue = getQueue('image-processing');
-
-    if (!imageUrl) {
-      return res.status(400).json({
-        success: false,
-        error: 'Image URL is required',
-      });
-    }
+  await addJob(req, res, definition);
+});
 
-    const job = await queue.add('process-image', {
-      imageUrl,
-      operations,
-      timestamp: new Date().toISOString(),
-    }, {
-      priority,
-      jobId: uuidv4(),
-      timeout: 30000, // 30 seconds timeout
-    });
+// Validate and add many jobs at once: a JSON array (or { jobs: [...] }),
+// or one job per line with Content-Type application/x-ndjson for large batches
+router.post('/:queueName/jobs/bulk', async (req, res) => {
+  const definition = getQueueDefinition(req.params.queueName);
 
-    res.json({
-      success: true,
-      data: {
-        jobId: job.id,
-        queue: 'image-processing',
-        status: 'queued',
-        operations,
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(500).json({
+  if (!definition) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
+      error: `Queue '${req.params.queueName}' not found`,
     });
   }
-});
 
-// Add priority job
-router.post('/priority/add', async (req, res) => {
+  const maxBatchSize = config.queue.maxBulkJobs;
+  const submission = createBulkSubmission(definition);
+
   try {
-    const { task, priority = 0, description } = req.body;
-    const queue = getQueue('priority');
+    if (req.is('application/x-ndjson')) {
+      const overflow = await readNdjsonJobs(req, submission, maxBatchSize);
+      const report = await submission.finish();
+
+      if (overflow) {
+        // Lines before the limit were already queued, so the report is still returned
+        return res.status(413).json({
+          success: false,
+          error: overflow,
+          data: report,
+        });
+      }
+      return sendBulkReport(res, report);
+    }
+
+    const body = req.body || {};
+    const items = Array.isArray(body) ? body : body.jobs;
 
-    if (!task) {
+    if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Task is required',
+        error: 'Body must be a non-empty array of jobs or { jobs: [...] }',
       });
     }
 
-    const job = await queue.add('priority-task', {
-      task,
-      priority,
-      description: description || 'Priority task',
-      timestamp: new Date().toISOString(),
-    }, {
-      priority,
-      jobId: uuidv4(),
-    });
+    if (items.length > maxBatchSize) {
+      return res.status(413).json({
+        success: false,
+        error: `Batch of ${items.length} jobs exceeds the maximum of ${maxBatchSize}`,
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        jobId: job.id,
-        queue: 'priority',
-        status: 'queued',
-        priority,
-        task,
-      },
-      timestamp: new Date().toISOString(),
-    });
+    for (const item of items) {
+      await submission.add(item);
+    }
+    sendBulkReport(res, await submission.finish());
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -220,127 +353,180 @@ router.post('/priority/add', async (req, res) => {
   }
 });
 
-// Add delayed job
-router.post('/delayed/add', async (req, res) => {
-  try {
-    const { message, delay = 5000, scheduledFor } = req.body;
-    const queue = getQueue('delayed');
+class LineTooLongError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LineTooLongError';
+  }
+}
 
-    if (!message) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message is required',
-      });
-    }
+// Split a request body into lines without buffering more than maxLineBytes of one line.
+// Throws a LineTooLongError at the first longer line; the request is left unread from there.
+async function* readLines(req, maxLineBytes) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
 
-    const job = await queue.add('delayed-task', {
-      message,
-      scheduledFor: scheduledFor || new Date(Date.now() + delay).toISOString(),
-      timestamp: new Date().toISOString(),
-    }, {
-      delay: parseInt(delay),
-      jobId: uuidv4(),
-    });
+  const checkLength = line => {
+    if (Buffer.byteLength(line) > maxLineBytes) {
+      throw new LineTooLongError(`Line exceeds the maximum of ${config.app.bodyLimit}`);
+    }
+    return line;
+  };
+
+  for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+    const lines = (pending + decoder.write(chunk)).split(/\r?\n/);
+    pending = lines.pop();
+    for (const line of lines) {
+      yield checkLength(line);
+    }
+    checkLength(pending);
+  }
 
-    res.json({
-      success: true,
-      data: {
-        jobId: job.id,
-        queue: 'delayed',
-        status: 'scheduled',
-        delay: parseInt(delay),
-        scheduledFor: new Date(Date.now() + parseInt(delay)).toISOString(),
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+  pending += decoder.end();
+  if (pending) {
+    yield checkLength(pending);
   }
-});
+}
+
+// Feed NDJSON lines into a bulk submission. Each line may be as large as a JSON body.
+// Resolves to the reason reading stopped early (batch or line limit hit), or null.
+async function readNdjsonJobs(req, submission, maxBatchSize) {
+  let count = 0;
 
-// Add dependency job
-router.post('/dependency/add', async (req, res) => {
   try {
-    const { task, dependencies = [], description } = req.body;
-    const queue = getQueue('dependency');
+    for await (const line of readLines(req, bytes.parse(config.app.bodyLimit))) {
+      if (!line.trim()) {
+        continue;
+      }
 
-    if (!task) {
-      return res.status(400).json({
-        success: false,
-        error: 'Task is required',
-      });
+      if (++count > maxBatchSize) {
+        req.resume();
+        return `Batch exceeds the maximum of ${maxBatchSize} jobs; remaining lines were not read`;
+      }
+
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        submission.reject([{ field: '', message: `invalid JSON: ${error.message}`, keyword: 'parse' }]);
+        continue;
+      }
+      await submission.add(item);
+    }
+  } catch (error) {
+    if (!(error instanceof LineTooLongError)) {
+      throw error;
     }
+    req.resume();
+    return `${error.message}; remaining lines were not read`;
+  }
 
-    const job = await queue.add('dependency-task', {
-      task,
-      dependencies,
-      description: description || 'Task with dependencies',
-      timestamp: new Date().toISOString(),
-    }, {
-      jobId: uuidv4(),
-    });
+  return null;
+}
 
-    res.json({
+// 201 when every job was queued, 200 when some were rejected, 422 when none were queued
+function sendBulkReport(res, report) {
+  const status = report.rejected === 0 ? 201 : report.accepted > 0 ? 200 : 422;
+
+  res.status(status).json({
+    success: report.accepted > 0,
+    data: report,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Submit a job and send the response shared by the generic route and its aliases:
+// 201 for a new job, 200 with the original job when the submission is a repeat
+async function addJob(req, res, definition, toSubmission = body => body) {
+  try {
+    const submission = toSubmission(req.body || {});
+    const idempotencyKey = req.get('Idempotency-Key');
+    const { duplicate, ...result } = await submitJob(definition, submission, { idempotencyKey });
+
+    res.status(duplicate ? 200 : 201).json({
       success: true,
       data: {
-        jobId: job.id,
-        queue: 'dependency',
-        status: 'queued',
-        dependencies: dependencies.length,
-        task,
+        ...result,
+        status: duplicate ? 'duplicate' : 'queued',
       },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
+    if (error instanceof JobValidationError) {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        details: error.errors,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: error.message,
     });
   }
-});
+}
 
-// Add rate limited job
-router.post('/rate-limited/add', async (req, res) => {
-  try {
-    const { apiCall, rateLimit = 1000 } = req.body;
-    const queue = getQueue('rate-limited');
-
-    if (!apiCall) {
-      return res.status(400).json({
+// Read the delay of the delayed alias: a non-negative integer, or a string of digits
+function parseDelay(delay) {
+  if (!(Number.isInteger(delay) && delay >= 0) && !/^\d+$/.test(String(delay))) {
+    throw new JobValidationError([{ field: 'delay', message: 'must be a non-negative integer (ms)', keyword: 'type' }]);
+  }
+  return parseInt(delay);
+}
+
+// Per-queue add routes, kept as aliases that map their request bodies onto POST /:queueName/jobs
+const addAliases = {
+  email: ({ recipient, subject, body, priority = 0 }) => ({
+    name: 'send-email',
+    data: { recipient, subject, body: body || 'Default email body', timestamp: new Date().toISOString() },
+    opts: { priority },
+  }),
+  'image-processing': ({ imageUrl, operations = ['resize', 'compress'], priority = 0 }) => ({
+    name: 'process-image',
+    data: { imageUrl, operations, timestamp: new Date().toISOString() },
+    opts: { priority },
+  }),
+  priority: ({ task, priority = 0, description }) => ({
+    name: 'priority-task',
+    data: { task, priority, description: description || 'Priority task', timestamp: new Date().toISOString() },
+    opts: { priority },
+  }),
+  delayed: ({ message, delay = 5000, scheduledFor }) => {
+    const delayMs = parseDelay(delay);
+    return {
+      name: 'delayed-task',
+      data: {
+        message,
+        scheduledFor: scheduledFor || new Date(Date.now() + delayMs).toISOString(),
+        timestamp: new Date().toISOString(),
+      },
+      opts: { delay: delayMs },
+    };
+  },
+  dependency: ({ task, dependencies = [], description }) => ({
+    name: 'dependency-task',
+    data: { task, dependencies, description: description || 'Task with dependencies', timestamp: new Date().toISOString() },
+  }),
+  'rate-limited': ({ apiCall, rateLimit = 1000 }) => ({
+    name: 'rate-limited-api-call',
+    data: { apiCall, rateLimit: parseInt(rateLimit), timestamp: new Date().toISOString() },
+  }),
+};
+
+Object.entries(addAliases).forEach(([alias, toSubmission]) => {
+  router.post(`/${alias}/add`, async (req, res) => {
+    const definition = getQueueDefinition(alias);
+
+    if (!definition) {
+      return res.status(404).json({
         success: false,
-        error: 'API call is required',
+        error: `Queue '${alias}' not found`,
       });
     }
 
-    const job = await queue.add('rate-limited-api-call', {
-      apiCall,
-      rateLimit: parseInt(rateLimit),
-      timestamp: new Date().toISOString(),
-    }, {
-      jobId: uuidv4(),
-      delay: Math.random() * parseInt(rateLimit), // Random delay within rate limit
-    });
-
-    res.json({
-      success: true,
-      data: {
-        jobId: job.id,
-        queue: 'rate-limited',
-        status: 'queued',
-        rateLimit: parseInt(rateLimit),
-        apiCall,
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
+    await addJob(req, res, definition, body => ({ ...toSubmission(body), jobId: body.jobId }));
+  });
 });
 
 // Pause/Resume queue
@@ -384,6 +570,54 @@ router.post('/:queueName/:action', async (req, res) => {
   }
 });
 
+// Delete a runtime queue and obliterate its jobs
+router.delete('/:queueName', async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const { force } = req.query;
+    const definition = getQueueDefinition(queueName);
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        error: `Queue '${queueName}' not found`,
+      });
+    }
+
+    if (!definition.runtime) {
+      return res.status(400).json({
+        success: false,
+        error: `Queue '${queueName}' is defined in the queue config file and cannot be deleted at runtime`,
+      });
+    }
+
+    const activeCount = await getQueue(definition.alias).getActiveCount();
+    if (activeCount > 0 && force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        error: `Queue '${queueName}' has ${activeCount} active jobs. Use ?force=true to delete it anyway`,
+      });
+    }
+
+    await removeWorker(definition.alias);
+    await unmonitorQueue(definition.name);
+    removeQueueFromDashboard(definition.name);
+    await closeDeadLetterQueue(definition.name);
+    await removeQueue(definition.alias, { force: force === 'true' });
+
+    res.json({
+      success: true,
+      message: `Queue '${queueName}' deleted`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Clean queue (remove all jobs)
 router.delete('/:queueName/clean', async (req, res) => {
   try {
@@ -0,0 +1,298 @@
+const express = require('express');
+const {
+  ScheduleValidationError,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  removeSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  runScheduleNow,
+  getScheduleRuns,
+  previewSchedule,
+  previewScheduleDraft,
+  listCalendars,
+  reconcileSchedules,
+  MAX_PREVIEW_RUNS,
+} = require('../scheduler/setup');
+const router = express.Router();
+
+function notFound(res, name) {
+  return res.status(404).json({
+    success: false,
+    error: `Schedule '${name}' not found`,
+  });
+}
+
+function sendError(res, error) {
+  if (error instanceof ScheduleValidationError) {
+    return res.status(422).json({
+      success: false,
+      error: error.message,
+      details: error.errors,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+  });
+}
+
+// Read the preview run count; returns an error message when it is out of range
+function checkPreviewCount(count) {
+  if (count === undefined) {
+    return null;
+  }
+  const value = Number(count);
+  return Number.isInteger(value) && value >= 1 && value <= MAX_PREVIEW_RUNS
+    ? null
+    : `count must be an integer between 1 and ${MAX_PREVIEW_RUNS}`;
+}
+
+// List schedules
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+
+    res.json({
+      success: true,
+      data: {
+        schedules,
+        count: schedules.length,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create a schedule: { name, pattern | every, tz, startDate, endDate, limit, jobName, data, opts }
+router.post('/', async (req, res) => {
+  try {
+    const input = req.body || {};
+
+    if (typeof input.name === 'string' && await getSchedule(input.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Schedule '${input.name}' already exists`,
+      });
+    }
+
+    const schedule = await createSchedule(input);
+
+    res.status(201).json({
+      success: true,
+      data: schedule,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Re-read the schedules config file and apply it; dryRun only reports the diff
+router.post('/reconcile', async (req, res) => {
+  try {
+    const dryRun = (req.body && req.body.dryRun === true) || req.query.dryRun === 'true';
+    const summary = await reconcileSchedules({ dryRun });
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Preview the next runs of a schedule that is not saved yet: { pattern | every, tz, startDate, endDate, limit, count }
+router.post('/preview', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const problem = checkPreviewCount(input.count);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const preview = previewScheduleDraft(input);
+
+    res.json({
+      success: true,
+      data: preview,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List the blackout calendars schedules can use, with their upcoming windows
+router.get('/calendars', (req, res) => {
+  const calendars = listCalendars();
+
+  res.json({
+    success: true,
+    data: {
+      calendars,
+      count: calendars.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Get a schedule
+router.get('/:name', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.name);
+
+    if (!schedule) {
+      return notFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      data: schedule,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Preview the next runs of a schedule; pattern, every and tz query parameters try a change before saving it
+router.get('/:name/preview', async (req, res) => {
+  try {
+    const { count, pattern, every, tz } = req.query;
+    const problem = checkPreviewCount(count);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const overrides = {};
+    if (pattern !== undefined) {
+      overrides.pattern = pattern;
+    }
+    if (every !== undefined) {
+      overrides.every = /^\d+$/.test(every) ? parseInt(every) : every;
+    }
+    if (tz !== undefined) {
+      overrides.tz = tz;
+    }
+
+    const preview = await previewSchedule(req.params.name, { count, ...overrides });
+
+    if (!preview) {
+      return notFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      data: preview,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get the run history of a schedule, newest first: job ID, state, duration and failure reason of each firing
+router.get('/:name/history', async (req, res) => {
+  try {
+    const { limit } = req.query;
+    if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) >= 1)) {
+      return res.status(400).json({ success: false, error: 'limit must be a positive integer' });
+    }
+
+    const history = await getScheduleRuns(req.params.name, { limit: limit && Number(limit) });
+
+    if (!history) {
+      return notFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update a schedule in place; only the given fields change
+router.patch('/:name', async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.params.name, req.body || {});
+
+    if (!schedule) {
+      return notFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      data: schedule,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a schedule
+router.delete('/:name', async (req, res) => {
+  try {
+    const removed = await removeSchedule(req.params.name);
+
+    if (!removed) {
+      return notFound(res, req.params.name);
+    }
+
+    res.json({
+      success: true,
+      message: `Schedule '${req.params.name}' removed`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Pause, resume or run a schedule now
+const actions = {
+  pause: pauseSchedule,
+  resume: resumeSchedule,
+  run: runScheduleNow,
+};
+
+router.post('/:name/:action', async (req, res) => {
+  try {
+    const { name, action } = req.params;
+
+    if (!actions[action]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action '${action}'. Use: ${Object.keys(actions).join(', ')}`,
+      });
+    }
+
+    const result = await actions[action](name);
+
+    if (!result) {
+      return notFound(res, name);
+    }
+
+    res.status(action === 'run' ? 201 : 200).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const config = require('../../config');
+const chalk = require('chalk');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// What a schedule does with a firing that lands in a blackout window
+const BLACKOUT_POLICIES = ['skip', 'shift'];
+
+// A calendar as declared in the schedules config file: blackout dates, ranges and/or an ICS file
+const CALENDAR_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  anyOf: [{ required: ['dates'] }, { required: ['ranges'] }, { required: ['ics'] }],
+  properties: {
+    tz: { type: 'string', minLength: 1 },
+    dates: { type: 'array', items: { type: 'string', format: 'date' } },
+    ranges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to'],
+        additionalProperties: false,
+        properties: {
+          from: { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] },
+          to: { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] },
+          label: { type: 'string' },
+        },
+      },
+    },
+    // Path of an iCalendar file, relative to the schedules config file
+    ics: { type: 'string', minLength: 1 },
+  },
+};
+
+const validateCalendarSchema = ajv.compile(CALENDAR_SCHEMA);
+
+// Calendars loaded from the schedules config file, keyed by name
+const calendars = new Map();
+
+// Offset of a time zone from UTC at a given time, in ms
+function timezoneOffset(time, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time)).map(part => [part.type, parseInt(part.value)]));
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - (time - (time % 1000));
+}
+
+// Convert a wall-clock time in a time zone to epoch ms; times skipped by DST move forward
+function localToUtc(year, month, day, hour, minute, second, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = timezoneOffset(guess, tz);
+  const corrected = timezoneOffset(guess - offset, tz);
+  return guess - corrected;
+}
+
+// Start of a 'YYYY-MM-DD' day in a time zone, optionally some days later
+function startOfDay(date, tz, days = 0) {
+  const [year, month, day] = date.split('-').map(Number);
+  return localToUtc(year, month, day + days, 0, 0, 0, tz);
+}
+
+// Parse an iCalendar DATE or DATE-TIME value; all-day values are flagged
+function parseIcsTime(value, params, tz) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (hour === undefined) {
+    return { time: startOfDay(`${year}-${month}-${day}`, tz), allDay: true, date: `${year}-${month}-${day}` };
+  }
+  if (utc) {
+    return { time: Date.UTC(year, month - 1, day, hour, minute, second), allDay: false };
+  }
+  return { time: localToUtc(+year, +month, +day, +hour, +minute, +second, params.TZID || tz), allDay: false };
+}
+
+// Read the VEVENTs of an iCalendar file as blackout windows. Recurring events are not
+// expanded, only their first occurrence is used.
+function parseIcs(text, tz, source) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const windows = [];
+  let event = null;
+  let recurring = 0;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT' && event) {
+      const start = event.DTSTART && parseIcsTime(event.DTSTART.value, event.DTSTART.params, tz);
+      const end = event.DTEND && parseIcsTime(event.DTEND.value, event.DTEND.params, tz);
+
+      if (start) {
+        // An all-day event without DTEND lasts one day; DTEND itself is exclusive
+        const endTime = end ? end.time : start.allDay ? startOfDay(start.date, tz, 1) : start.time;
+        if (endTime > start.time) {
+          const label = event.SUMMARY && event.SUMMARY.value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+          windows.push({ start: start.time, end: endTime, label, source });
+        }
+      }
+      recurring += event.RRULE ? 1 : 0;
+      event = null;
+      continue;
+    }
+
+    const match = event && line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+    if (match) {
+      const params = Object.fromEntries(match[2].split(';').filter(Boolean).map(param => param.split('=')));
+      event[match[1]] = { params, value: match[3] };
+    }
+  }
+
+  if (recurring > 0) {
+    console.log(chalk.yellow(`⚠️ ${source}: ${recurring} recurring events, only their first occurrence is used`));
+  }
+  return windows;
+}
+
+// Turn a date or date-time into a time; a date 'to' covers that whole day
+function parseRangeBound(value, tz, isEnd) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? startOfDay(value, tz, isEnd ? 1 : 0) : Date.parse(value);
+}
+
+// Build a calendar from its config entry. Throws with a readable message when it is invalid.
+function buildCalendar(name, definition, baseDir) {
+  if (!validateCalendarSchema(definition)) {
+    const details = validateCalendarSchema.errors
+      .map(error => `${error.instancePath.replace(/\//g, '.').slice(1) || 'calendar'} ${error.message}`);
+    throw new Error(details.join('; '));
+  }
+
+  const tz = definition.tz || config.scheduler.defaultTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+  } catch (error) {
+    throw new Error(`tz must be an IANA time zone such as 'Europe/Berlin', got '${tz}'`);
+  }
+
+  const windows = [];
+
+  (definition.dates || []).forEach(date => {
+    windows.push({ start: startOfDay(date, tz), end: startOfDay(date, tz, 1), label: date, source: 'dates' });
+  });
+
+  (definition.ranges || []).forEach(({ from, to, label }, index) => {
+    const start = parseRangeBound(from, tz, false);
+    const end = parseRangeBound(to, tz, true);
+    if (end <= start) {
+      throw new Error(`ranges.${index} must end after it starts`);
+    }
+    windows.push({ start, end, label, source: 'ranges' });
+  });
+
+  if (definition.ics) {
+    const file = path.resolve(baseDir, definition.ics);
+    if (!fs.existsSync(file)) {
+      throw new Error(`ICS file '${file}' not found`);
+    }
+    windows.push(...parseIcs(fs.readFileSync(file, 'utf8'), tz, path.basename(file)));
+  }
+
+  windows.sort((a, b) => a.start - b.start);
+  return { name, tz, windows };
+}
+
+// Replace the loaded calendars
+function setCalendars(list) {
+  calendars.clear();
+  list.forEach(calendar => calendars.set(calendar.name, calendar));
+}
+
+function getCalendarNames() {
+  return Array.from(calendars.keys());
+}
+
+// List the calendars with their upcoming blackout windows
+function listCalendars({ upcoming = 5 } = {}) {
+  const now = Date.now();
+
+  return Array.from(calendars.values()).map(({ name, tz, windows }) => ({
+    name,
+    tz,
+    windows: windows.length,
+    upcoming: windows
+      .filter(window => window.end > now)
+      .slice(0, upcoming)
+      .map(({ start, end, label }) => ({ start: new Date(start).toISOString(), end: new Date(end).toISOString(), label })),
+  }));
+}
+
+// Find the blackout window of the given calendars a time falls in. Its end is extended
+// over windows that overlap or follow it directly, so a shifted firing lands outside all of them.
+function findBlackout(names, time) {
+  const windows = names
+    .map(name => calendars.get(name))
+    .filter(Boolean)
+    .flatMap(calendar => calendar.windows.map(window => ({ ...window, calendar: calendar.name })));
+
+  const hit = windows.find(window => window.start <= time && time < window.end);
+  if (!hit) {
+    return null;
+  }
+
+  let end = hit.end;
+  for (let next = hit; next;) {
+    next = windows.find(window => window.start <= end && end < window.end);
+    end = next ? next.end : end;
+  }
+
+  return { calendar: hit.calendar, label: hit.label, start: hit.start, end };
+}
+
+// Check whether a job fired by a schedule was due inside one of the schedule's blackout windows.
+// A firing is judged by its slot, not by when a worker picks it up. Once the window of a
+// shifted (or late) firing is over, it is judged by the time it runs instead, so it is only
+// shifted again when that time falls in another window.
+// Returns { calendar, label, start, end, policy } or null.
+async function checkBlackout(job) {
+  const client = await job.queue.client;
+  const raw = await client.hget(job.queue.toKey('schedules'), job.repeatJobKey);
+  const schedule = raw ? JSON.parse(raw) : null;
+
+  if (!schedule || !schedule.calendars || schedule.calendars.length === 0) {
+    return null;
+  }
+
+  const policy = schedule.blackoutPolicy || 'skip';
+  const now = Date.now();
+  let blackout = findBlackout(schedule.calendars, job.opts.prevMillis || job.timestamp);
+
+  if (blackout && policy === 'shift' && blackout.end <= now) {
+    blackout = findBlackout(schedule.calendars, now);
+  }
+  return blackout && { ...blackout, policy };
+}
+
+module.exports = {
+  BLACKOUT_POLICIES,
+  buildCalendar,
+  setCalendars,
+  getCalendarNames,
+  listCalendars,
+  findBlackout,
+  checkBlackout,
+};
@@ -0,0 +1,97 @@
+const config = require('../../config');
+
+// Sorted set of a schedule's runs, scored by the time the run was due
+function historyKey(queue, name) {
+  return queue.toKey(`schedules:history:${name}`);
+}
+
+// When a schedule fired a job
+function firedAt(job) {
+  return new Date(job.opts.prevMillis || job.timestamp).toISOString();
+}
+
+// Add an entry to a schedule's history and drop what falls outside the retention
+async function addHistoryEntry(queue, name, entry) {
+  const client = await queue.client;
+  const key = historyKey(queue, name);
+  const { historyLimit, historyMaxAge } = config.scheduler;
+
+  await client
+    .multi()
+    .zadd(key, Date.parse(entry.firedAt), JSON.stringify(entry))
+    .zremrangebyscore(key, '-inf', Date.now() - historyMaxAge)
+    .zremrangebyrank(key, 0, -historyLimit - 1)
+    .exec();
+}
+
+// Record the outcome ('completed' or 'failed') of a job a schedule fired. Called from
+// the worker once the job is finished for good; jobs of other repeat keys are ignored.
+async function recordScheduleRun(job, state) {
+  const name = job.repeatJobKey;
+  const client = await job.queue.client;
+
+  // Only schedules stored by the schedule API have a history
+  if (!name || !await client.hexists(job.queue.toKey('schedules'), name)) {
+    return null;
+  }
+
+  // Firings skipped for a blackout complete with the window as their return value
+  const blackout = state === 'completed' && job.returnvalue && job.returnvalue.blackout;
+
+  const entry = {
+    firedAt: firedAt(job),
+    jobId: job.id,
+    state: blackout ? 'skipped' : state,
+    attempts: job.attemptsMade,
+    startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    duration: job.processedOn && job.finishedOn ? job.finishedOn - job.processedOn : null,
+    ...(state === 'failed' && { failedReason: job.failedReason }),
+    ...(blackout && { blackout }),
+  };
+
+  await addHistoryEntry(job.queue, name, entry);
+  return entry;
+}
+
+// Record that a firing was moved past a blackout window; its run is recorded when it finishes
+async function recordShiftedRun(job, blackout) {
+  const entry = {
+    firedAt: firedAt(job),
+    jobId: job.id,
+    state: 'shifted',
+    shiftedTo: blackout.end,
+    blackout,
+  };
+
+  await addHistoryEntry(job.queue, job.repeatJobKey, entry);
+  return entry;
+}
+
+// Read a schedule's history, newest first
+async function getScheduleHistory(queue, name, { limit = config.scheduler.historyLimit } = {}) {
+  const client = await queue.client;
+  const entries = await client.zrevrange(historyKey(queue, name), 0, limit - 1);
+  return entries.map(raw => JSON.parse(raw));
+}
+
+// Read the entries of the runs due between two times (epoch ms, inclusive)
+async function getRunsBetween(queue, name, from, to) {
+  const client = await queue.client;
+  const entries = await client.zrangebyscore(historyKey(queue, name), from, to);
+  return entries.map(raw => JSON.parse(raw));
+}
+
+async function clearScheduleHistory(queue, name) {
+  const client = await queue.client;
+  await client.del(historyKey(queue, name));
+}
+
+module.exports = {
+  addHistoryEntry,
+  recordScheduleRun,
+  recordShiftedRun,
+  getScheduleHistory,
+  getRunsBetween,
+  clearScheduleHistory,
+};
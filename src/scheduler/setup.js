@@ -1,9 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
 const { Queue } = require('bullmq');
+const { parseExpression } = require('cron-parser');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
 const config = require('../../config');
 const chalk = require('chalk');
+const { JOB_OPTIONS_SCHEMA, toFieldErrors } = require('../jobs/submit');
+const { checkForAlerts } = require('../monitor/setup');
+const { addHistoryEntry, getScheduleHistory, getRunsBetween, clearScheduleHistory } = require('./history');
+const {
+  BLACKOUT_POLICIES,
+  buildCalendar,
+  setCalendars,
+  getCalendarNames,
+  listCalendars,
+  findBlackout,
+} = require('./calendars');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Job options a schedule's job template may set; IDs and delays come from the scheduler
+const TEMPLATE_OPTIONS = ['priority', 'attempts', 'backoff', 'timeout'];
+
+// Names taken by the literal routes under /api/schedules; a schedule with one of them
+// could not be read, changed or removed through the API
+const RESERVED_SCHEDULE_NAMES = ['calendars', 'preview', 'reconcile'];
+
+// A schedule as accepted by the API and stored in Redis
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    // Used as the job scheduler ID, which BullMQ splits on ':'
+    name: { type: 'string', minLength: 1, maxLength: 128, pattern: '^[\\w-]+$' },
+    pattern: { type: 'string', minLength: 1 },
+    every: { type: 'integer', minimum: 1 },
+    tz: { type: 'string', minLength: 1 },
+    startDate: { type: 'string', format: 'date-time' },
+    endDate: { type: 'string', format: 'date-time' },
+    limit: { type: 'integer', minimum: 1 },
+    // Overrides SCHEDULE_MISSED_RUN_GRACE for slow jobs (ms)
+    missedRunGrace: { type: 'integer', minimum: 0 },
+    // Calendars whose blackout windows the schedule honors, and what happens to a firing inside one
+    calendars: { type: 'array', uniqueItems: true, items: { type: 'string', minLength: 1 } },
+    blackoutPolicy: { enum: BLACKOUT_POLICIES },
+    jobName: { type: 'string', minLength: 1 },
+    data: { type: 'object' },
+    opts: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(TEMPLATE_OPTIONS.map(option => [option, JOB_OPTIONS_SCHEMA.properties[option]])),
+    },
+  },
+};
+
+const validateScheduleSchema = ajv.compile(SCHEDULE_SCHEMA);
+
+// Most fire times a preview computes
+const MAX_PREVIEW_RUNS = 100;
+
+// Fields that define a schedule, compared when reconciling the config file
+const DEFINITION_FIELDS = Object.keys(SCHEDULE_SCHEMA.properties);
+
+// Raised with a list of { field, message, keyword } when a schedule is invalid
+class ScheduleValidationError extends Error {
+  constructor(errors) {
+    super('Schedule validation failed');
+    this.name = 'ScheduleValidationError';
+    this.errors = errors;
+  }
+}
+
+// Most firings checked per schedule and pass of the missed-run check
+const MAX_CHECKED_FIRINGS = 1000;
 
 let recurringQueue;
 let schedulerQueue;
+let missedRunTimer;
+
+// Per schedule, the next firing the missed-run check has yet to verify
+const missedRunCursors = new Map();
 
 const connection = {
   host: config.redis.host,
@@ -29,8 +109,11 @@ async function setupScheduler() {
       },
     });
 
-    // Setup recurring jobs with different patterns
-    await setupRecurringJobs();
+    // Bring the job schedulers in line with the schedules config file
+    await reconcileSchedules();
+
+    // Watch for firings that never completed
+    missedRunTimer = setInterval(checkMissedRuns, config.scheduler.missedRunCheckInterval);
 
     console.log(chalk.green('✅ Scheduler setup successfully!'));
 
@@ -40,160 +123,757 @@ async function setupScheduler() {
   }
 }
 
-async function setupRecurringJobs() {
+// Function to add (or update) a custom recurring job
+async function addCustomRecurringJob(name, data, cronPattern, options = {}) {
+  const schedule = { pattern: cronPattern, data, opts: options };
+  return (await readSchedule(name))
+    ? updateSchedule(name, schedule)
+    : createSchedule({ name, ...schedule });
+}
+
+// Function to remove a recurring job
+async function removeRecurringJob(name) {
+  return removeSchedule(name);
+}
+
+// Function to get all recurring jobs
+async function getRecurringJobs() {
   try {
-    // 1. Daily cleanup job (every day at 2 AM)
-    await recurringQueue.add('daily-cleanup', {
-      task: 'cleanup-old-files',
-      frequency: 'daily',
-      description: 'Clean up old temporary files and logs',
-    }, {
-      repeat: {
-        pattern: '0 2 * * *', // Cron pattern: every day at 2 AM
-      },
-    });
+    const schedulers = await recurringQueue.getJobSchedulers(0, -1, true);
+    return Promise.all(schedulers.map(async scheduler => ({
+      name: scheduler.key,
+      jobName: scheduler.name,
+      pattern: scheduler.pattern,
+      every: scheduler.every,
+      tz: scheduler.tz,
+      next: scheduler.next,
+      lastRun: (await getScheduleHistory(recurringQueue, scheduler.key, { limit: 1 }))[0] || null,
+      key: scheduler.key,
+    })));
+  } catch (error) {
+    console.error(chalk.red('❌ Error getting recurring jobs:'), error);
+    throw error;
+  }
+}
 
-    // 2. Hourly health check (every hour)
-    await recurringQueue.add('hourly-health-check', {
-      task: 'system-health-check',
-      frequency: 'hourly',
-      description: 'Check system health and send alerts if needed',
-    }, {
-      repeat: {
-        pattern: '0 * * * *', // Cron pattern: every hour
-      },
-    });
+// Function to pause/resume recurring jobs
+async function toggleRecurringJobs(pause = true) {
+  try {
+    if (pause) {
+      await recurringQueue.pause();
+      console.log(chalk.yellow('⏸️ Recurring jobs paused'));
+    } else {
+      await recurringQueue.resume();
+      console.log(chalk.green('▶️ Recurring jobs resumed'));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error toggling recurring jobs:'), error);
+    throw error;
+  }
+}
 
-    // 3. Weekly report generation (every Monday at 9 AM)
-    await recurringQueue.add('weekly-report', {
-      task: 'generate-weekly-report',
-      frequency: 'weekly',
-      description: 'Generate and email weekly performance report',
-    }, {
-      repeat: {
-        pattern: '0 9 * * 1', // Cron pattern: every Monday at 9 AM
-      },
-    });
+// Redis hash of schedule definitions (name -> JSON), next to the recurring queue's keys
+function schedulesKey() {
+  return recurringQueue.toKey('schedules');
+}
 
-    // 4. Monthly backup (first day of every month at 3 AM)
-    await recurringQueue.add('monthly-backup', {
-      task: 'database-backup',
-      frequency: 'monthly',
-      description: 'Create monthly database backup',
-    }, {
-      repeat: {
-        pattern: '0 3 1 * *', // Cron pattern: first day of every month at 3 AM
-      },
-    });
+async function readSchedule(name) {
+  const client = await recurringQueue.client;
+  const raw = await client.hget(schedulesKey(), name);
+  return raw ? JSON.parse(raw) : null;
+}
 
-    // 5. Every 5 minutes monitoring job
-    await recurringQueue.add('monitoring-check', {
-      task: 'service-monitoring',
-      frequency: 'every-5-minutes',
-      description: 'Check service status and performance metrics',
-    }, {
-      repeat: {
-        pattern: '*/5 * * * *', // Cron pattern: every 5 minutes
-      },
-    });
+async function writeSchedule(schedule) {
+  const client = await recurringQueue.client;
+  await client.hset(schedulesKey(), schedule.name, JSON.stringify(schedule));
+}
 
-    // 6. Business hours job (weekdays 9 AM to 5 PM, every 30 minutes)
-    await recurringQueue.add('business-hours-task', {
-      task: 'business-process',
-      frequency: 'business-hours',
-      description: 'Process business tasks during working hours',
-    }, {
-      repeat: {
-        pattern: '*/30 9-17 * * 1-5', // Cron pattern: every 30 minutes, 9 AM to 5 PM, weekdays
-      },
-    });
+// Intl rejects time zones missing from the IANA database
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
-    // 7. Weekend maintenance (every Saturday at 1 AM)
-    await recurringQueue.add('weekend-maintenance', {
-      task: 'system-maintenance',
-      frequency: 'weekly',
-      description: 'Perform system maintenance during weekend',
-    }, {
-      repeat: {
-        pattern: '0 1 * * 6', // Cron pattern: every Saturday at 1 AM
-      },
-    });
+// Check a cron pattern the way BullMQ will evaluate it; returns an error message or null
+function checkCronPattern(pattern, tz) {
+  const fields = pattern.trim().split(/\s+/).length;
+  if (fields !== 5 && fields !== 6) {
+    return `must have 5 fields (minute hour day-of-month month day-of-week) or 6 with leading seconds, got ${fields}`;
+  }
+
+  try {
+    parseExpression(pattern, { tz });
+    return null;
+  } catch (error) {
+    return `is not a valid cron expression: ${error.message}`;
+  }
+}
+
+// Check a schedule definition; exactly one of pattern (cron) or every (ms) is required.
+// Calendars are checked against the loaded ones unless other names are given.
+function validateSchedule(schedule, calendarNames = getCalendarNames()) {
+  const errors = validateScheduleSchema(schedule) ? [] : toFieldErrors(validateScheduleSchema.errors, '');
+
+  if (Boolean(schedule.pattern) === Boolean(schedule.every)) {
+    errors.push({ field: 'pattern', message: 'exactly one of pattern or every is required', keyword: 'oneOf' });
+  }
+
+  if (RESERVED_SCHEDULE_NAMES.includes(schedule.name)) {
+    errors.push({ field: 'name', message: `'${schedule.name}' is reserved (${RESERVED_SCHEDULE_NAMES.join(', ')})`, keyword: 'not' });
+  }
+
+  if (Array.isArray(schedule.calendars)) {
+    schedule.calendars
+      .filter(name => typeof name === 'string' && !calendarNames.includes(name))
+      .forEach(name => errors.push({
+        field: 'calendars',
+        message: `unknown calendar '${name}' (known: ${calendarNames.join(', ') || 'none'})`,
+        keyword: 'enum',
+      }));
+  }
+
+  const validTimezone = typeof schedule.tz !== 'string' || isValidTimezone(schedule.tz);
+  if (!validTimezone) {
+    errors.push({ field: 'tz', message: `must be an IANA time zone such as 'Europe/Berlin', got '${schedule.tz}'`, keyword: 'format' });
+  }
+
+  if (typeof schedule.pattern === 'string' && schedule.pattern) {
+    const problem = checkCronPattern(schedule.pattern, validTimezone ? schedule.tz : undefined);
+    if (problem) {
+      errors.push({ field: 'pattern', message: problem, keyword: 'format' });
+    }
+  }
+
+  const startDate = schedule.startDate ? Date.parse(schedule.startDate) : undefined;
+  const endDate = schedule.endDate ? Date.parse(schedule.endDate) : undefined;
+  if (endDate !== undefined && endDate <= Date.now()) {
+    errors.push({ field: 'endDate', message: 'must be in the future', keyword: 'minimum' });
+  }
+  if (startDate !== undefined && endDate !== undefined && startDate >= endDate) {
+    errors.push({ field: 'endDate', message: 'must be after startDate', keyword: 'minimum' });
+  }
+
+  if (errors.length > 0) {
+    // Ajv reports root fields as ".name"; schedules have no wrapping object
+    throw new ScheduleValidationError(errors.map(error => ({ ...error, field: error.field.replace(/^\./, '') })));
+  }
+}
+
+// Cron schedules without a time zone get the configured default, if any; otherwise
+// BullMQ runs them in the server's local time
+function withTimezone(schedule) {
+  return schedule.pattern && !schedule.tz && config.scheduler.defaultTimezone
+    ? { ...schedule, tz: config.scheduler.defaultTimezone }
+    : schedule;
+}
+
+// Repeat options of a job scheduler; a limit counts the runs made before a pause
+function toRepeatOptions(schedule) {
+  return {
+    ...(schedule.pattern ? { pattern: schedule.pattern } : { every: schedule.every }),
+    ...(schedule.tz && { tz: schedule.tz }),
+    ...(schedule.startDate && { startDate: schedule.startDate }),
+    ...(schedule.endDate && { endDate: schedule.endDate }),
+    ...(schedule.limit && { limit: schedule.limit - (schedule.pastIterations || 0) }),
+  };
+}
+
+// Create or update the job scheduler running a schedule
+async function upsertScheduler(schedule) {
+  if (schedule.limit && (schedule.pastIterations || 0) >= schedule.limit) {
+    console.log(chalk.yellow(`⚠️ Schedule '${schedule.name}' already reached its limit of ${schedule.limit} runs`));
+    return;
+  }
+
+  await recurringQueue.upsertJobScheduler(schedule.name, toRepeatOptions(schedule), {
+    name: schedule.jobName || schedule.name,
+    data: schedule.data || {},
+    opts: schedule.opts || {},
+  });
+}
+
+// A stored schedule with the live state of its job scheduler
+async function describeSchedule(schedule) {
+  const scheduler = schedule.paused ? null : await recurringQueue.getJobScheduler(schedule.name);
+  const [lastRun] = await getScheduleHistory(recurringQueue, schedule.name, { limit: 1 });
+  const { pastIterations = 0, ...definition } = schedule;
+
+  return {
+    ...definition,
+    paused: Boolean(schedule.paused),
+    next: scheduler && scheduler.next ? new Date(scheduler.next).toISOString() : null,
+    iterationCount: pastIterations + ((scheduler && scheduler.iterationCount) || 0),
+    lastRun: lastRun || null,
+  };
+}
 
-    console.log(chalk.green('✅ Recurring jobs scheduled successfully!'));
+// List every schedule managed through the schedule API
+async function listSchedules() {
+  try {
+    const client = await recurringQueue.client;
+    const stored = Object.values(await client.hgetall(schedulesKey())).map(raw => JSON.parse(raw));
+    stored.sort((a, b) => a.name.localeCompare(b.name));
+    return Promise.all(stored.map(describeSchedule));
+  } catch (error) {
+    console.error(chalk.red('❌ Error listing schedules:'), error);
+    throw error;
+  }
+}
+
+// Get one schedule, or null when it does not exist
+async function getSchedule(name) {
+  const schedule = await readSchedule(name);
+  return schedule ? describeSchedule(schedule) : null;
+}
+
+// Create a schedule and start its job scheduler
+async function createSchedule(input) {
+  try {
+    validateSchedule(input);
 
+    const now = new Date().toISOString();
+    const schedule = { ...withTimezone(input), source: 'api', paused: false, pastIterations: 0, createdAt: now, updatedAt: now };
+
+    await upsertScheduler(schedule);
+    await writeSchedule(schedule);
+
+    console.log(chalk.green(`✅ Schedule '${schedule.name}' created (${schedule.pattern || `every ${schedule.every}ms`})`));
+    return describeSchedule(schedule);
   } catch (error) {
-    console.error(chalk.red('❌ Error setting up recurring jobs:'), error);
+    console.error(chalk.red(`❌ Error creating schedule '${input.name}':`), error.message);
     throw error;
   }
 }
 
-// Function to add a custom recurring job
-async function addCustomRecurringJob(name, data, cronPattern, options = {}) {
+// Change a schedule in place; setting pattern drops every and vice versa
+async function updateSchedule(name, changes) {
   try {
-    const job = await recurringQueue.add(name, data, {
-      repeat: {
-        pattern: cronPattern,
-      },
-      ...options,
-    });
+    const current = await readSchedule(name);
+    if (!current) {
+      return null;
+    }
 
-    console.log(chalk.green(`✅ Custom recurring job '${name}' scheduled with pattern: ${cronPattern}`));
-    return job;
+    const { source, paused, pastIterations, createdAt, updatedAt, ...definition } = current;
+    if (changes.pattern !== undefined) {
+      delete definition.every;
+    }
+    if (changes.every !== undefined) {
+      delete definition.pattern;
+    }
+
+    const updated = withTimezone({ ...definition, ...changes, name });
+    validateSchedule(updated);
+
+    const schedule = { ...updated, source, paused, pastIterations, createdAt, updatedAt: new Date().toISOString() };
+    if (!paused) {
+      await upsertScheduler(schedule);
+    }
+    await writeSchedule(schedule);
+
+    console.log(chalk.green(`✅ Schedule '${name}' updated`));
+    return describeSchedule(schedule);
   } catch (error) {
-    console.error(chalk.red(`❌ Error adding custom recurring job '${name}':`), error);
+    console.error(chalk.red(`❌ Error updating schedule '${name}':`), error.message);
     throw error;
   }
 }
 
-// Function to remove a recurring job
-async function removeRecurringJob(name) {
+// Delete everything stored for a schedule, so a new schedule of the same name starts clean
+async function deleteSchedule(name) {
+  const client = await recurringQueue.client;
+
+  await recurringQueue.removeJobScheduler(name);
+  await client.hdel(schedulesKey(), name);
+  await clearScheduleHistory(recurringQueue, name);
+  missedRunCursors.delete(name);
+}
+
+// Delete a schedule and its job scheduler
+async function removeSchedule(name) {
   try {
-    const repeatableJobs = await recurringQueue.getRepeatableJobs();
-    const job = repeatableJobs.find(job => job.name === name);
-    
-    if (job) {
-      await recurringQueue.removeRepeatableByKey(job.key);
-      console.log(chalk.green(`✅ Recurring job '${name}' removed successfully`));
-      return true;
-    } else {
-      console.log(chalk.yellow(`⚠️ Recurring job '${name}' not found`));
+    const schedule = await readSchedule(name);
+    if (!schedule) {
       return false;
     }
+
+    await deleteSchedule(name);
+
+    console.log(chalk.green(`✅ Schedule '${name}' removed`));
+    return true;
   } catch (error) {
-    console.error(chalk.red(`❌ Error removing recurring job '${name}':`), error);
+    console.error(chalk.red(`❌ Error removing schedule '${name}':`), error);
     throw error;
   }
 }
 
-// Function to get all recurring jobs
-async function getRecurringJobs() {
+// Pause one schedule by removing its job scheduler; the definition stays stored
+async function pauseSchedule(name) {
   try {
-    const repeatableJobs = await recurringQueue.getRepeatableJobs();
-    return repeatableJobs.map(job => ({
-      name: job.name,
-      pattern: job.pattern,
-      next: job.next,
-      id: job.id,
-      key: job.key,
-    }));
+    const schedule = await readSchedule(name);
+    if (!schedule || schedule.paused) {
+      return schedule && describeSchedule(schedule);
+    }
+
+    const scheduler = await recurringQueue.getJobScheduler(name);
+    await recurringQueue.removeJobScheduler(name);
+
+    schedule.paused = true;
+    schedule.pastIterations = (schedule.pastIterations || 0) + ((scheduler && scheduler.iterationCount) || 0);
+    schedule.updatedAt = new Date().toISOString();
+    await writeSchedule(schedule);
+
+    console.log(chalk.yellow(`⏸️ Schedule '${name}' paused`));
+    return describeSchedule(schedule);
   } catch (error) {
-    console.error(chalk.red('❌ Error getting recurring jobs:'), error);
+    console.error(chalk.red(`❌ Error pausing schedule '${name}':`), error);
     throw error;
   }
 }
 
-// Function to pause/resume recurring jobs
-async function toggleRecurringJobs(pause = true) {
+// Resume a paused schedule from its stored definition
+async function resumeSchedule(name) {
   try {
-    if (pause) {
-      await recurringQueue.pause();
-      console.log(chalk.yellow('⏸️ Recurring jobs paused'));
+    const schedule = await readSchedule(name);
+    if (!schedule || !schedule.paused) {
+      return schedule && describeSchedule(schedule);
+    }
+
+    schedule.paused = false;
+    schedule.updatedAt = new Date().toISOString();
+    await upsertScheduler(schedule);
+    await writeSchedule(schedule);
+
+    console.log(chalk.green(`▶️ Schedule '${name}' resumed`));
+    return describeSchedule(schedule);
+  } catch (error) {
+    console.error(chalk.red(`❌ Error resuming schedule '${name}':`), error);
+    throw error;
+  }
+}
+
+// Add a one-off job from a schedule's template, outside its timing
+async function runScheduleNow(name) {
+  try {
+    const schedule = await readSchedule(name);
+    if (!schedule) {
+      return null;
+    }
+
+    const job = await recurringQueue.add(schedule.jobName || schedule.name, schedule.data || {}, schedule.opts || {});
+
+    console.log(chalk.green(`✅ Schedule '${name}' triggered manually as job ${job.id}`));
+    return { jobId: job.id, name: job.name, schedule: name };
+  } catch (error) {
+    console.error(chalk.red(`❌ Error running schedule '${name}':`), error);
+    throw error;
+  }
+}
+
+// Get the run history of a schedule, newest first, or null when it does not exist
+async function getScheduleRuns(name, { limit } = {}) {
+  const schedule = await readSchedule(name);
+  if (!schedule) {
+    return null;
+  }
+
+  const runs = await getScheduleHistory(recurringQueue, name, { limit });
+  return { schedule: name, runs, count: runs.length };
+}
+
+// The firing of a schedule that follows another one, or null past its end date
+function nextFiring(schedule, after) {
+  const next = schedule.pattern
+    ? parseExpression(schedule.pattern, { tz: schedule.tz, currentDate: new Date(after) }).next().getTime()
+    : after + schedule.every;
+
+  return schedule.endDate && next > Date.parse(schedule.endDate) ? null : next;
+}
+
+// Verify the firings of a schedule whose grace period is over; each one needs a completed run.
+// The first firing followed is the scheduler's next one, so nothing before the check started
+// or before the last change of the schedule is reported.
+async function checkScheduleRuns(schedule) {
+  const { name } = schedule;
+  const scheduler = await recurringQueue.getJobScheduler(name);
+  let cursor = missedRunCursors.get(name);
+
+  if (!cursor || cursor.updatedAt !== schedule.updatedAt) {
+    if (scheduler && scheduler.next) {
+      missedRunCursors.set(name, { at: scheduler.next, lastNext: scheduler.next, updatedAt: schedule.updatedAt });
+    }
+    return;
+  }
+
+  // Without a scheduler (limit reached, or removed from Redis) only the firings already planned are expected
+  cursor.lastNext = scheduler && scheduler.next ? scheduler.next : cursor.lastNext;
+  const deadline = Math.min(
+    Date.now() - (schedule.missedRunGrace !== undefined ? schedule.missedRunGrace : config.scheduler.missedRunGrace),
+    scheduler ? Infinity : cursor.lastNext,
+  );
+
+  const due = [];
+  let at = cursor.at;
+  while (at !== null && at <= deadline && due.length < MAX_CHECKED_FIRINGS) {
+    due.push(at);
+    at = nextFiring(schedule, at);
+  }
+  if (due.length === 0) {
+    return;
+  }
+
+  const runs = await getRunsBetween(recurringQueue, name, due[0], due[due.length - 1]);
+  const recorded = new Set(runs.map(run => Date.parse(run.firedAt)));
+  // Firings skipped or shifted for a blackout window are accounted for by that decision
+  const accounted = new Set(runs
+    .filter(run => ['completed', 'skipped', 'shifted'].includes(run.state))
+    .map(run => Date.parse(run.firedAt)));
+  const missed = due.filter(time => !accounted.has(time));
+
+  if (at === null) {
+    missedRunCursors.delete(name);
+  } else {
+    cursor.at = at;
+  }
+
+  // Failed runs are already in the history; firings that left no trace are added as missed
+  for (const time of missed.filter(time => !recorded.has(time))) {
+    await addHistoryEntry(recurringQueue, name, { firedAt: new Date(time).toISOString(), jobId: null, state: 'missed' });
+  }
+
+  if (missed.length > 0) {
+    const first = new Date(missed[0]).toISOString();
+    const message = missed.length === 1
+      ? `Schedule '${name}' has no completed run for its firing due at ${first}`
+      : `Schedule '${name}' has no completed run for ${missed.length} firings, the first due at ${first}`;
+    console.log(chalk.red(`⏰ ${message}`));
+    checkForAlerts(recurringQueue.name, 'missed-run', new Error(message));
+  }
+}
+
+// Report schedule firings that produced no completed job within their grace period
+async function checkMissedRuns() {
+  try {
+    const client = await recurringQueue.client;
+    const stored = Object.values(await client.hgetall(schedulesKey())).map(raw => JSON.parse(raw));
+
+    for (const name of missedRunCursors.keys()) {
+      if (!stored.some(schedule => schedule.name === name && !schedule.paused)) {
+        missedRunCursors.delete(name);
+      }
+    }
+
+    for (const schedule of stored.filter(schedule => !schedule.paused)) {
+      await checkScheduleRuns(schedule);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error checking for missed schedule runs:'), error.message);
+  }
+}
+
+function localTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Format a date as local ISO time with its UTC offset in a time zone, e.g. 2024-03-31T03:00:00+02:00
+function formatInTimezone(date, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'longOffset',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+// Compute the next fire times of a schedule, honoring its start and end dates and limit.
+// Interval schedules step from the scheduler's next run when one is given.
+function computeRuns(schedule, count, { next, iterationCount = 0 } = {}) {
+  const start = Math.max(Date.now(), schedule.startDate ? Date.parse(schedule.startDate) : 0);
+  const end = schedule.endDate ? Date.parse(schedule.endDate) : Infinity;
+  const remaining = schedule.limit ? Math.max(schedule.limit - iterationCount, 0) : Infinity;
+  const total = Math.min(count, remaining);
+  const times = [];
+
+  if (schedule.pattern) {
+    const interval = parseExpression(schedule.pattern, { tz: schedule.tz, currentDate: new Date(start) });
+    while (times.length < total) {
+      const time = interval.next().getTime();
+      if (time > end) {
+        break;
+      }
+      times.push(time);
+    }
+  } else {
+    for (let time = next || start; times.length < total && time <= end; time += schedule.every) {
+      times.push(time);
+    }
+  }
+
+  const tz = schedule.tz || config.scheduler.defaultTimezone || localTimezone();
+  return times.map(time => {
+    const blackout = schedule.calendars && findBlackout(schedule.calendars, time);
+
+    return {
+      at: new Date(time).toISOString(),
+      local: formatInTimezone(new Date(time), tz),
+      ...(blackout && {
+        blackout: {
+          calendar: blackout.calendar,
+          label: blackout.label,
+          policy: schedule.blackoutPolicy || 'skip',
+          end: new Date(blackout.end).toISOString(),
+        },
+      }),
+    };
+  });
+}
+
+function previewCount(count) {
+  return Math.min(Math.max(parseInt(count) || 10, 1), MAX_PREVIEW_RUNS);
+}
+
+// Preview the next runs of a stored schedule; pattern/every/tz overrides preview a change before saving it
+async function previewSchedule(name, { count, ...overrides } = {}) {
+  const current = await readSchedule(name);
+  if (!current) {
+    return null;
+  }
+
+  const { source, paused, pastIterations, createdAt, updatedAt, ...definition } = current;
+  const changed = Object.keys(overrides).length > 0;
+  if (overrides.pattern !== undefined) {
+    delete definition.every;
+  }
+  if (overrides.every !== undefined) {
+    delete definition.pattern;
+  }
+
+  const schedule = withTimezone({ ...definition, ...overrides, name });
+  validateSchedule(schedule);
+
+  const scheduler = paused ? null : await recurringQueue.getJobScheduler(name);
+  const iterationCount = (pastIterations || 0) + ((scheduler && scheduler.iterationCount) || 0);
+  // The live scheduler's next run only holds for the saved definition
+  const next = scheduler && !changed ? scheduler.next : undefined;
+
+  return {
+    name,
+    pattern: schedule.pattern,
+    every: schedule.every,
+    tz: schedule.tz,
+    paused: Boolean(paused),
+    runs: paused ? [] : computeRuns(schedule, previewCount(count), { next, iterationCount }),
+  };
+}
+
+// Preview the runs of a schedule that is not saved yet
+function previewScheduleDraft({ count, ...draft } = {}) {
+  // A draft's name does not change its runs; a placeholder keeps it clear of the reserved names
+  const schedule = withTimezone({ ...draft, name: 'draft' });
+  validateSchedule(schedule);
+
+  return {
+    pattern: schedule.pattern,
+    every: schedule.every,
+    tz: schedule.tz,
+    runs: computeRuns(schedule, previewCount(count)),
+  };
+}
+
+// Load the schedules and calendars declared in the JSON/YAML schedules config file
+function loadScheduleConfig(configFile = config.scheduler.configFile) {
+  if (!fs.existsSync(configFile)) {
+    console.log(chalk.yellow(`⚠️ Schedules config '${configFile}' not found, no schedules declared`));
+    return { schedules: [], calendars: [] };
+  }
+
+  const raw = fs.readFileSync(configFile, 'utf8');
+  const extension = path.extname(configFile).toLowerCase();
+  const parsed = extension === '.yml' || extension === '.yaml' ? yaml.load(raw) : JSON.parse(raw);
+
+  if (!parsed || !Array.isArray(parsed.schedules)) {
+    throw new Error(`Schedules config '${configFile}' must contain a 'schedules' array`);
+  }
+
+  const calendars = Object.entries(parsed.calendars || {}).map(([name, definition]) => {
+    try {
+      return buildCalendar(name, definition, path.dirname(configFile));
+    } catch (error) {
+      throw new Error(`Invalid calendar '${name}' in '${configFile}': ${error.message}`);
+    }
+  });
+  const calendarNames = calendars.map(calendar => calendar.name);
+
+  const names = new Set();
+  parsed.schedules.forEach((schedule, index) => {
+    try {
+      validateSchedule(schedule, calendarNames);
+    } catch (error) {
+      const details = (error.errors || []).map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new Error(`Invalid schedule #${index} ('${schedule && schedule.name}') in '${configFile}': ${details || error.message}`);
+    }
+    if (names.has(schedule.name)) {
+      throw new Error(`Duplicate schedule '${schedule.name}' in '${configFile}'`);
+    }
+    names.add(schedule.name);
+  });
+
+  return { schedules: parsed.schedules.map(withTimezone), calendars };
+}
+
+function getDefinition(schedule) {
+  return Object.fromEntries(DEFINITION_FIELDS
+    .filter(field => schedule[field] !== undefined)
+    .map(field => [field, schedule[field]]));
+}
+
+// Compare the declared schedules with the stored ones. Only config-managed
+// schedules are removed; a declared name already created through the API is
+// taken over by the config.
+async function planScheduleChanges(declared) {
+  const client = await recurringQueue.client;
+  const stored = Object.values(await client.hgetall(schedulesKey())).map(raw => JSON.parse(raw));
+  const storedByName = new Map(stored.map(schedule => [schedule.name, schedule]));
+  const plan = { add: [], update: [], remove: [], unchanged: [], legacy: [] };
+
+  for (const schedule of declared) {
+    const current = storedByName.get(schedule.name);
+
+    if (!current) {
+      plan.add.push({ schedule });
+      continue;
+    }
+
+    const fields = DEFINITION_FIELDS.filter(field => JSON.stringify(current[field]) !== JSON.stringify(schedule[field]));
+    if (current.source !== 'config') {
+      fields.push('source');
+    }
+
+    // A scheduler lost from Redis is recreated even if the definition did not change
+    const missing = !current.paused && fields.length === 0 && !(await recurringQueue.getJobScheduler(schedule.name));
+    if (fields.length > 0 || missing) {
+      plan.update.push({ schedule, current, fields: missing ? ['scheduler'] : fields });
     } else {
-      await recurringQueue.resume();
-      console.log(chalk.green('▶️ Recurring jobs resumed'));
+      plan.unchanged.push({ schedule });
+    }
+  }
+
+  const declaredNames = new Set(declared.map(schedule => schedule.name));
+  plan.remove = stored
+    .filter(schedule => schedule.source === 'config' && !declaredNames.has(schedule.name))
+    .map(schedule => ({ schedule }));
+
+  // Repeatable jobs from the deprecated queue.add({ repeat }) API for declared job names
+  const declaredJobNames = new Set(declared.map(schedule => schedule.jobName || schedule.name));
+  const repeatable = await recurringQueue.getRepeatableJobs();
+  plan.legacy = repeatable
+    .filter(job => !storedByName.has(job.key) && !declaredNames.has(job.key) && declaredJobNames.has(job.name))
+    .map(job => ({ key: job.key, name: job.name, pattern: job.pattern }));
+
+  return plan;
+}
+
+function describeTiming(schedule) {
+  return schedule.pattern ? `'${schedule.pattern}'` : `every ${schedule.every}ms`;
+}
+
+function logSchedulePlan(plan, dryRun) {
+  const prefix = dryRun ? '[dry run] ' : '';
+
+  plan.add.forEach(({ schedule }) => {
+    console.log(chalk.green(`   ${prefix}+ ${schedule.name} ${describeTiming(schedule)}`));
+  });
+  plan.update.forEach(({ schedule, current, fields }) => {
+    const changes = fields.map((field) => {
+      if (field === 'scheduler') {
+        return 'scheduler missing';
+      }
+      const next = field === 'source' ? 'config' : schedule[field];
+      return `${field}: ${JSON.stringify(current[field])} -> ${JSON.stringify(next)}`;
+    }).join(', ');
+    console.log(chalk.yellow(`   ${prefix}~ ${schedule.name} (${changes})`));
+  });
+  plan.remove.forEach(({ schedule }) => {
+    console.log(chalk.red(`   ${prefix}- ${schedule.name} ${describeTiming(schedule)}`));
+  });
+  plan.legacy.forEach(({ name, pattern }) => {
+    console.log(chalk.red(`   ${prefix}- ${name} '${pattern}' (deprecated repeatable job)`));
+  });
+  console.log(chalk.gray(`   ${prefix}= ${plan.unchanged.length} unchanged`));
+}
+
+// Add, update and remove job schedulers so they match the schedules config file
+async function reconcileSchedules({ configFile = config.scheduler.configFile, dryRun = config.scheduler.dryRun } = {}) {
+  try {
+    const { schedules: declared, calendars } = loadScheduleConfig(configFile);
+    const plan = await planScheduleChanges(declared);
+
+    // Calendars only live in memory; a dry run leaves the loaded ones in place
+    if (!dryRun) {
+      setCalendars(calendars);
+      console.log(chalk.blue(`📅 Loaded ${calendars.length} calendars: ${calendars.map(({ name, windows }) => `${name} (${windows.length} windows)`).join(', ') || 'none'}`));
+    }
+
+    console.log(chalk.blue(`🗓️ Reconciling ${declared.length} schedules from ${configFile}${dryRun ? ' (dry run)' : ''}`));
+    logSchedulePlan(plan, dryRun);
+
+    if (!dryRun) {
+      const now = new Date().toISOString();
+
+      for (const { schedule } of plan.add) {
+        const record = { ...getDefinition(schedule), source: 'config', paused: false, pastIterations: 0, createdAt: now, updatedAt: now };
+        await upsertScheduler(record);
+        await writeSchedule(record);
+      }
+
+      for (const { schedule, current } of plan.update) {
+        const record = {
+          ...getDefinition(schedule),
+          source: 'config',
+          paused: Boolean(current.paused),
+          pastIterations: current.pastIterations || 0,
+          createdAt: current.createdAt,
+          updatedAt: now,
+        };
+        if (!record.paused) {
+          await upsertScheduler(record);
+        }
+        await writeSchedule(record);
+      }
+
+      for (const { schedule } of plan.remove) {
+        await deleteSchedule(schedule.name);
+      }
+
+      for (const { key } of plan.legacy) {
+        await recurringQueue.removeRepeatableByKey(key);
+      }
     }
+
+    const summary = {
+      dryRun,
+      added: plan.add.map(({ schedule }) => schedule.name),
+      updated: plan.update.map(({ schedule, fields }) => ({ name: schedule.name, fields })),
+      removed: plan.remove.map(({ schedule }) => schedule.name),
+      legacyRemoved: plan.legacy.map(({ name }) => name),
+      unchanged: plan.unchanged.length,
+    };
+
+    console.log(chalk.green(`✅ Schedules reconciled: ${summary.added.length} added, ${summary.updated.length} updated, ${summary.removed.length + summary.legacyRemoved.length} removed${dryRun ? ' (dry run, nothing applied)' : ''}`));
+    return summary;
   } catch (error) {
-    console.error(chalk.red('❌ Error toggling recurring jobs:'), error);
+    console.error(chalk.red('❌ Error reconciling schedules:'), error);
     throw error;
   }
 }
@@ -201,6 +881,8 @@ async function toggleRecurringJobs(pause = true) {
 // Clean up scheduler
 async function cleanupScheduler() {
   try {
+    clearInterval(missedRunTimer);
+
     if (schedulerQueue) {
       await schedulerQueue.close();
       console.log(chalk.yellow('🔒 Closed scheduler queue'));
@@ -216,5 +898,21 @@ module.exports = {
   removeRecurringJob,
   getRecurringJobs,
   toggleRecurringJobs,
+  ScheduleValidationError,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  removeSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  runScheduleNow,
+  getScheduleRuns,
+  checkMissedRuns,
+  previewSchedule,
+  previewScheduleDraft,
+  listCalendars,
+  reconcileSchedules,
+  MAX_PREVIEW_RUNS,
   cleanupScheduler,
 };
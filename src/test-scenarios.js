@@ -1,5 +1,15 @@
 const { getQueue } = require('./queues/setup');
-const { addCustomRecurringJob, getRecurringJobs } = require('./scheduler/setup');
+const { addCustomRecurringJob, getRecurringJobs, previewScheduleDraft, ScheduleValidationError } = require('./scheduler/setup');
+const { getQueueDefinition } = require('./queues/registry');
+const { moveToDeadLetter, replayDeadLetter, purgeDeadLetters } = require('./dlq/setup');
+const { callWithSandboxChild } = require('./workers/queue-worker');
+const { parseJobFilter, JobFilterError } = require('./jobs/filters');
+const { listJobs, PaginationError } = require('./jobs/pagination');
+const { backoffStrategy } = require('./workers/retries');
+const { validateJob, JobValidationError } = require('./jobs/submit');
+const { Queue, Worker, ChildPool } = require('bullmq');
+const path = require('path');
+const config = require('../config');
 const { v4: uuidv4 } = require('uuid');
 const chalk = require('chalk');
 
@@ -28,6 +38,13 @@ class BullMQTestScenarios {
       await this.testJobPromotion();
       await this.testBulkOperations();
       await this.testErrorHandling();
+      await this.testDeadLetters();
+      await this.testSandboxChild();
+      await this.testFilterRegexes();
+      await this.testScheduleDraftPreview();
+      await this.testJobPagination();
+      await this.testBackoffStrategies();
+      await this.testScheduleTimezones();
 
       this.printTestSummary();
     } catch (error) {
@@ -174,17 +191,14 @@ class BullMQTestScenarios {
           frequency: 'every-30-seconds',
           description: 'This job runs every 30 seconds for testing',
         },
-        '*/30 * * * * *', // Every 30 seconds
-        {
-          jobId: uuidv4(),
-        }
+        '*/30 * * * * *' // Every 30 seconds
       );
 
       this.testResults.push({
         test: 'Recurring Jobs',
         status: 'PASSED',
-        details: 'Added recurring job that runs every 30 seconds',
-        jobId: recurringJob.id,
+        details: `Added recurring job that runs every 30 seconds (next run ${recurringJob.next})`,
+        schedule: recurringJob.name,
       });
 
       console.log(chalk.green('✅ Recurring jobs test passed'));
@@ -642,6 +656,348 @@ class BullMQTestScenarios {
     }
   }
 
+  async testDeadLetters() {
+    console.log(chalk.yellow('🪦 Testing Dead-Letter Queues...'));
+
+    try {
+      const definition = getQueueDefinition('rate-limited');
+      const queue = getQueue('rate-limited');
+
+      // A job with an auto-generated ID, kept delayed so no worker picks it up
+      const job = await queue.add('rate-limited-api-call', {
+        apiCall: 'dead-letter-test',
+      }, {
+        delay: 60 * 60 * 1000,
+      });
+      job.failedReason = 'Simulated permanent failure';
+      job.finishedOn = Date.now();
+
+      const deadLetter = await moveToDeadLetter(definition, job);
+      if (!deadLetter || deadLetter.data.sourceJobId !== job.id) {
+        throw new Error(`Job ${job.id} was not dead-lettered`);
+      }
+
+      // The replay gets a new auto-generated ID and can be dead-lettered again
+      const replayed = await replayDeadLetter('rate-limited', deadLetter.id);
+      const replayedJob = await queue.getJob(replayed.jobId);
+      replayedJob.failedReason = 'Simulated permanent failure';
+      replayedJob.finishedOn = Date.now() + 1;
+
+      const secondDeadLetter = await moveToDeadLetter(definition, replayedJob);
+      if (!secondDeadLetter || secondDeadLetter.id === deadLetter.id) {
+        throw new Error(`Replayed job ${replayedJob.id} was not dead-lettered`);
+      }
+      await purgeDeadLetters('rate-limited', [secondDeadLetter.id]);
+
+      this.testResults.push({
+        test: 'Dead-Letter Queues',
+        status: 'PASSED',
+        details: `Dead-lettered job ${job.id}, replayed it as ${replayedJob.id} and dead-lettered it again`,
+        jobIds: [deadLetter.id, secondDeadLetter.id],
+      });
+
+      console.log(chalk.green('✅ Dead-letter queue test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Dead-Letter Queues',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Dead-letter queue test failed'));
+    }
+  }
+
+  // Timeouts kill a sandboxed job's child through BullMQ's private ChildPool API
+  // (see callWithSandboxChild); fail loudly when an upgrade changes it
+  async testSandboxChild() {
+    console.log(chalk.yellow('📦 Testing Sandbox Child Capture...'));
+
+    const worker = new Worker('sandbox-child-check', path.join(__dirname, 'processors/sandbox.js'), {
+      connection: config.redis,
+      autorun: false,
+    });
+    worker.on('error', () => {});
+
+    try {
+      if (typeof ChildPool.prototype.retain !== 'function' || typeof ChildPool.prototype.kill !== 'function') {
+        throw new Error('ChildPool#retain or ChildPool#kill no longer exists');
+      }
+      if (!(worker.childPool instanceof ChildPool) || typeof worker.processFn !== 'function') {
+        throw new Error('Sandboxed workers no longer expose childPool and processFn');
+      }
+
+      // Stand-in for the child, so no process is started
+      let retained;
+      worker.childPool.retain = () => (retained = Promise.reject(new Error('not started')));
+
+      const { running, child } = callWithSandboxChild(worker.childPool, () => worker.processFn({}, 'token'));
+      await running.catch(() => {});
+
+      if (!retained || child !== retained) {
+        throw new Error('The sandbox no longer retains its child synchronously');
+      }
+
+      this.testResults.push({
+        test: 'Sandbox Child Capture',
+        status: 'PASSED',
+        details: 'The sandbox retains its child synchronously, so timed-out jobs can be killed',
+      });
+
+      console.log(chalk.green('✅ Sandbox child capture test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Sandbox Child Capture',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Sandbox child capture test failed'));
+    } finally {
+      await worker.close();
+    }
+  }
+
+  // Search and bulk filters run client regexes over every scanned job; patterns that can
+  // backtrack catastrophically must be refused before they run
+  async testFilterRegexes() {
+    console.log(chalk.yellow('🔎 Testing Filter Regex Limits...'));
+
+    try {
+      const unsafe = ['(a|a)+$', '(a+)+$', '(\\w*\\d?){2,}', '(a)\\1', 'x'.repeat(201)];
+      for (const pattern of unsafe) {
+        for (const input of [{ failedReasonPattern: pattern }, { data: `$.reason =~ /${pattern}/` }]) {
+          try {
+            parseJobFilter(input);
+          } catch (error) {
+            if (error instanceof JobFilterError) {
+              continue;
+            }
+            throw error;
+          }
+          throw new Error(`Unsafe pattern ${JSON.stringify(input)} was accepted`);
+        }
+      }
+
+      const filter = parseJobFilter({ failedReasonPattern: '^ECONN(RESET|REFUSED)$', data: '$.sku =~ /^A[0-9]+$/' });
+      if (!filter.failedReasonPattern.test('econnreset') || !filter.data[0].value.test('A42')) {
+        throw new Error('Safe patterns did not match');
+      }
+
+      this.testResults.push({
+        test: 'Filter Regex Limits',
+        status: 'PASSED',
+        details: `Refused ${unsafe.length} unsafe patterns for failedReason and data predicates`,
+      });
+
+      console.log(chalk.green('✅ Filter regex limits test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Filter Regex Limits',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Filter regex limits test failed'));
+    }
+  }
+
+  // POST /api/schedules/preview takes drafts without a name; the name must not trip the
+  // check for names reserved by the schedule routes
+  async testScheduleDraftPreview() {
+    console.log(chalk.yellow('🗓️ Testing Schedule Draft Preview...'));
+
+    try {
+      for (const draft of [{ every: 60000 }, { name: 'preview', pattern: '0 9 * * *', tz: 'UTC' }]) {
+        const preview = previewScheduleDraft({ ...draft, count: 3 });
+        if (preview.runs.length !== 3) {
+          throw new Error(`Preview of ${JSON.stringify(draft)} returned ${preview.runs.length} runs`);
+        }
+      }
+
+      this.testResults.push({
+        test: 'Schedule Draft Preview',
+        status: 'PASSED',
+        details: 'Previewed drafts without a name and with a reserved name',
+      });
+
+      console.log(chalk.green('✅ Schedule draft preview test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Schedule Draft Preview',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Schedule draft preview test failed'));
+    }
+  }
+
+  // Cursor pages of a sorted-set state are keyed by score, so jobs added ahead of the
+  // cursor must not shift the next page; tampered cursors are refused
+  async testJobPagination() {
+    console.log(chalk.yellow('📄 Testing Job Pagination...'));
+
+    const queue = new Queue('pagination-check', { connection: config.redis });
+    const hour = 60 * 60 * 1000;
+
+    try {
+      for (let index = 1; index <= 4; index++) {
+        await queue.add(`page-${index}`, {}, { delay: hour + index * 1000 });
+      }
+
+      const first = await listJobs(queue, { states: ['delayed'], order: 'asc', limit: 2 });
+
+      // Due before every listed job, so it sorts ahead of the cursor
+      await queue.add('page-0', {}, { delay: hour });
+
+      const second = await listJobs(queue, { cursor: first.nextCursor, limit: 2 });
+      const names = [...first.items, ...second.items].map(({ job }) => job.name);
+      if (names.join(',') !== 'page-1,page-2,page-3,page-4') {
+        throw new Error(`Pages shifted after an insert: ${names.join(', ')}`);
+      }
+
+      const tampered = Buffer.from(JSON.stringify({ states: ['bogus'], order: 'asc', index: 0 })).toString('base64url');
+      for (const cursor of ['not-a-cursor', tampered]) {
+        const rejected = await listJobs(queue, { cursor, limit: 2 }).then(() => false, error => error instanceof PaginationError);
+        if (!rejected) {
+          throw new Error(`Invalid cursor '${cursor}' was accepted`);
+        }
+      }
+
+      this.testResults.push({
+        test: 'Job Pagination',
+        status: 'PASSED',
+        details: 'Cursor pages stayed stable across an insert and invalid cursors were refused',
+      });
+
+      console.log(chalk.green('✅ Job pagination test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Job Pagination',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Job pagination test failed'));
+    } finally {
+      await queue.obliterate({ force: true });
+      await queue.close();
+    }
+  }
+
+  // The named backoff strategies the workers register, and the check that keeps
+  // unknown types from being submitted
+  async testBackoffStrategies() {
+    console.log(chalk.yellow('⏳ Testing Backoff Strategies...'));
+
+    try {
+      const job = (backoff) => ({ id: 'backoff-check', queueName: 'email-queue', opts: { backoff } });
+
+      const schedule = { type: 'schedule', delays: [1000, 10000, 60000] };
+      const delays = [1, 2, 3, 4].map(attempt => backoffStrategy(attempt, 'schedule', null, job(schedule)));
+      if (delays.join(',') !== '1000,10000,60000,60000') {
+        throw new Error(`schedule backoff gave ${delays.join(', ')}`);
+      }
+
+      const jitter = { type: 'exponential-jitter', delay: 1000, maxDelay: 5000 };
+      for (let attempt = 1; attempt <= 6; attempt++) {
+        const ceiling = Math.min(5000, 1000 * 2 ** (attempt - 1));
+        for (let sample = 0; sample < 20; sample++) {
+          const delay = backoffStrategy(attempt, 'exponential-jitter', null, job(jitter));
+          if (!(delay >= 0 && delay <= ceiling)) {
+            throw new Error(`exponential-jitter attempt ${attempt} gave ${delay}, outside 0-${ceiling}`);
+          }
+        }
+      }
+
+      if (backoffStrategy(1, 'linear', null, job({ type: 'linear' })) !== -1) {
+        throw new Error('An unknown backoff type was retried');
+      }
+
+      const definition = getQueueDefinition('email');
+      const submission = {
+        name: 'send-email',
+        data: { recipient: 'backoff@example.com', subject: 'Backoff' },
+        opts: { attempts: 3, backoff: { type: 'linear', delay: 1000 } },
+      };
+      const rejected = (() => {
+        try {
+          validateJob(definition, submission);
+          return null;
+        } catch (error) {
+          return error instanceof JobValidationError ? error.errors : null;
+        }
+      })();
+      if (!rejected || !rejected.some(error => error.field === 'opts.backoff.type')) {
+        throw new Error('A job with an unknown backoff type was accepted');
+      }
+
+      this.testResults.push({
+        test: 'Backoff Strategies',
+        status: 'PASSED',
+        details: 'schedule and exponential-jitter delays are in range; unknown types are refused',
+      });
+
+      console.log(chalk.green('✅ Backoff strategies test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Backoff Strategies',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Backoff strategies test failed'));
+    }
+  }
+
+  // Cron patterns and time zones are checked before a schedule is saved (the routes answer
+  // ScheduleValidationError with 422), and previews follow the schedule's tz across DST
+  async testScheduleTimezones() {
+    console.log(chalk.yellow('🌍 Testing Schedule Time Zones...'));
+
+    try {
+      const invalid = [
+        { draft: { pattern: '61 * * * *' }, field: 'pattern' },
+        { draft: { pattern: '0 9 * * *', tz: 'Mars/Olympus_Mons' }, field: 'tz' },
+      ];
+      for (const { draft, field } of invalid) {
+        const errors = (() => {
+          try {
+            previewScheduleDraft(draft);
+            return null;
+          } catch (error) {
+            return error instanceof ScheduleValidationError ? error.errors : null;
+          }
+        })();
+        if (!errors || !errors.some(error => error.field === field)) {
+          throw new Error(`Invalid ${field} in ${JSON.stringify(draft)} was accepted`);
+        }
+      }
+
+      // New York moves to daylight saving time on 2027-03-14: 9 AM stays 9 AM local
+      const preview = previewScheduleDraft({
+        pattern: '0 9 * * *',
+        tz: 'America/New_York',
+        startDate: '2027-03-12T00:00:00Z',
+        count: 4,
+      });
+      const utcHours = preview.runs.map(run => new Date(run.at).getUTCHours());
+      if (!preview.runs.every(run => run.local.slice(11, 19) === '09:00:00') || utcHours.join(',') !== '14,14,13,13') {
+        throw new Error(`Preview ignored the time zone: ${preview.runs.map(run => run.local).join(', ')}`);
+      }
+
+      this.testResults.push({
+        test: 'Schedule Time Zones',
+        status: 'PASSED',
+        details: 'Bad cron patterns and time zones are refused; previews keep local time across DST',
+      });
+
+      console.log(chalk.green('✅ Schedule time zones test passed'));
+    } catch (error) {
+      this.testResults.push({
+        test: 'Schedule Time Zones',
+        status: 'FAILED',
+        error: error.message,
+      });
+      console.log(chalk.red('❌ Schedule time zones test failed'));
+    }
+  }
+
   printTestSummary() {
     console.log(chalk.blue('\n📋 Test Summary:'));
     console.log(chalk.blue('================\n'));
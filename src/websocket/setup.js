@@ -0,0 +1,294 @@
+const { WebSocketServer } = require('ws');
+const chalk = require('chalk');
+const { getQueue } = require('../queues/setup');
+const { getQueueDefinition } = require('../queues/registry');
+const { jobEvents } = require('../monitor/events');
+const { isAuthorized } = require('../middleware/auth');
+
+const WEBSOCKET_PATH = '/ws/jobs';
+
+// Poll interval for new job log lines, which are not part of the event stream
+const LOG_POLL_INTERVAL = 1000;
+
+// Dead connection detection
+const HEARTBEAT_INTERVAL = 30000;
+
+// Most job subscriptions per connection
+const MAX_SUBSCRIPTIONS = 100;
+
+let wss;
+let server;
+const timers = [];
+
+// Subscriptions keyed by "<queueName>:<jobId>"
+const subscriptions = new Map();
+
+// Attach the job subscription WebSocket server to the HTTP server
+function setupWebSocket(httpServer) {
+  try {
+    console.log(chalk.blue('🔌 Setting up job WebSocket server...'));
+
+    server = httpServer;
+    wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', handleUpgrade);
+    wss.on('connection', handleConnection);
+    jobEvents.on('event', handleJobEvent);
+
+    timers.push(setInterval(pollJobLogs, LOG_POLL_INTERVAL));
+    timers.push(setInterval(checkHeartbeats, HEARTBEAT_INTERVAL));
+
+    console.log(chalk.green(`✅ Job WebSocket server listening on ${WEBSOCKET_PATH}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Error setting up WebSocket server:'), error);
+    throw error;
+  }
+}
+
+// Authenticate upgrade requests with the REST API credentials
+function handleUpgrade(req, socket, head) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname !== WEBSOCKET_PATH) {
+    socket.destroy();
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+}
+
+function handleConnection(ws) {
+  ws.isAlive = true;
+  ws.jobs = new Set();
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', async (raw) => {
+    try {
+      await handleMessage(ws, JSON.parse(raw));
+    } catch (error) {
+      send(ws, { type: 'error', error: error.message });
+    }
+  });
+
+  ws.on('close', () => {
+    for (const key of ws.jobs) {
+      removeSubscriber(key, ws);
+    }
+  });
+}
+
+// Client messages: { type: 'subscribe' | 'unsubscribe', queue, jobIds }
+async function handleMessage(ws, message) {
+  const definition = getQueueDefinition(message.queue);
+  if (!definition) {
+    throw new Error(`Queue '${message.queue}' not found`);
+  }
+
+  const jobIds = (Array.isArray(message.jobIds) ? message.jobIds : [message.jobId])
+    .filter(jobId => jobId !== undefined && jobId !== null)
+    .map(String);
+
+  if (jobIds.length === 0) {
+    throw new Error('jobIds is required');
+  }
+
+  if (message.type === 'subscribe') {
+    for (const jobId of jobIds) {
+      await subscribe(ws, definition, jobId);
+    }
+  } else if (message.type === 'unsubscribe') {
+    for (const jobId of jobIds) {
+      removeSubscriber(`${definition.name}:${jobId}`, ws);
+      ws.jobs.delete(`${definition.name}:${jobId}`);
+      send(ws, { type: 'unsubscribed', queue: definition.alias, jobId });
+    }
+  } else {
+    throw new Error(`Unknown message type '${message.type}'`);
+  }
+}
+
+// Subscribe a client to a job and send its current state
+async function subscribe(ws, definition, jobId) {
+  const key = `${definition.name}:${jobId}`;
+
+  if (!ws.jobs.has(key) && ws.jobs.size >= MAX_SUBSCRIPTIONS) {
+    throw new Error(`A connection can subscribe to at most ${MAX_SUBSCRIPTIONS} jobs`);
+  }
+
+  const queue = getQueue(definition.name);
+  const job = await queue.getJob(jobId);
+
+  if (!job) {
+    send(ws, { type: 'error', queue: definition.alias, jobId, error: `Job '${jobId}' not found` });
+    return;
+  }
+
+  // Register before reading the state so a result arriving in between is not missed
+  const isNew = !subscriptions.has(key);
+  if (isNew) {
+    subscriptions.set(key, {
+      definition,
+      queue,
+      jobId,
+      logOffset: 0,
+      clients: new Set(),
+    });
+  }
+  const subscription = subscriptions.get(key);
+  subscription.clients.add(ws);
+  ws.jobs.add(key);
+
+  const state = await job.getState();
+  const { logs, count } = await queue.getJobLogs(jobId);
+  if (isNew) {
+    subscription.logOffset = Math.max(subscription.logOffset, count);
+  }
+
+  send(ws, {
+    type: 'subscribed',
+    queue: definition.alias,
+    jobId,
+    name: job.name,
+    state,
+    progress: job.progress,
+    logs,
+  });
+
+  // Finished jobs get their result right away, unless the event already delivered it
+  if ((state === 'completed' || state === 'failed') && subscriptions.get(key) === subscription) {
+    const finishedJob = await queue.getJob(jobId);
+    broadcast(subscription, toFinalMessage(definition, finishedJob || job, state));
+    endSubscription(key, subscription);
+  }
+}
+
+function removeSubscriber(key, ws) {
+  const subscription = subscriptions.get(key);
+
+  if (subscription) {
+    subscription.clients.delete(ws);
+    if (subscription.clients.size === 0) {
+      subscriptions.delete(key);
+    }
+  }
+}
+
+function toFinalMessage(definition, job, state) {
+  return state === 'completed'
+    ? { type: 'completed', queue: definition.alias, jobId: job.id, returnvalue: job.returnvalue }
+    : { type: 'failed', queue: definition.alias, jobId: job.id, failedReason: job.failedReason, willRetry: false };
+}
+
+// Forward progress and results from the monitor's QueueEvents subscribers
+async function handleJobEvent({ queueName, event, jobId, data, returnvalue, failedReason }) {
+  const key = `${queueName}:${jobId}`;
+  const subscription = subscriptions.get(key);
+
+  if (!subscription) {
+    return;
+  }
+
+  const queue = subscription.definition.alias;
+
+  try {
+    if (event === 'progress') {
+      broadcast(subscription, { type: 'progress', queue, jobId, progress: data });
+    } else if (event === 'completed') {
+      await flushJobLogs(subscription);
+      broadcast(subscription, { type: 'completed', queue, jobId, returnvalue });
+      endSubscription(key, subscription);
+    } else if (event === 'failed') {
+      // A failed attempt is only final when the job is not retried
+      await flushJobLogs(subscription);
+      const state = await subscription.queue.getJobState(jobId);
+      const final = state === 'failed' || state === 'unknown';
+      broadcast(subscription, { type: 'failed', queue, jobId, failedReason, willRetry: !final });
+      if (final) {
+        endSubscription(key, subscription);
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Error forwarding ${event} of job ${jobId}:`), error);
+  }
+}
+
+// Send log lines added since the last poll
+async function flushJobLogs(subscription) {
+  const { logs, count } = await subscription.queue.getJobLogs(subscription.jobId, subscription.logOffset, -1);
+
+  subscription.logOffset = Math.max(count, subscription.logOffset + logs.length);
+  logs.forEach(line => {
+    broadcast(subscription, { type: 'log', queue: subscription.definition.alias, jobId: subscription.jobId, line });
+  });
+}
+
+async function pollJobLogs() {
+  for (const subscription of subscriptions.values()) {
+    try {
+      await flushJobLogs(subscription);
+    } catch (error) {
+      console.error(chalk.red(`❌ Error reading logs of job ${subscription.jobId}:`), error);
+    }
+  }
+}
+
+function endSubscription(key, subscription) {
+  subscriptions.delete(key);
+  subscription.clients.forEach(ws => ws.jobs.delete(key));
+}
+
+function broadcast(subscription, message) {
+  subscription.clients.forEach(ws => send(ws, message));
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ ...message, timestamp: new Date().toISOString() }));
+  }
+}
+
+// Terminate connections that did not answer the last ping
+function checkHeartbeats() {
+  wss.clients.forEach(ws => {
+    if (!ws.isAlive) {
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}
+
+// Close all WebSocket connections
+async function closeWebSocket() {
+  try {
+    if (!wss) {
+      return;
+    }
+
+    timers.splice(0).forEach(timer => clearInterval(timer));
+    jobEvents.off('event', handleJobEvent);
+    server.off('upgrade', handleUpgrade);
+    subscriptions.clear();
+
+    wss.clients.forEach(ws => ws.close(1001, 'Server is shutting down'));
+    await new Promise(resolve => wss.close(() => resolve()));
+    wss = null;
+
+    console.log(chalk.yellow('🔒 Closed job WebSocket server'));
+  } catch (error) {
+    console.error(chalk.red('❌ Error closing WebSocket server:'), error);
+  }
+}
+
+module.exports = {
+  setupWebSocket,
+  closeWebSocket,
+};
@@ -0,0 +1,151 @@
+const { Worker, DelayedError } = require('bullmq');
+const { getGroupKey, acquireGroupSlot, blockGroup } = require('./rate-limits');
+const { getJobTimeout, runWithTimeout } = require('./timeouts');
+const { isRetryable, toUnrecoverable } = require('./retries');
+const { checkBlackout } = require('../scheduler/calendars');
+const { recordShiftedRun } = require('../scheduler/history');
+
+// Call a sandboxed processor and capture the child it runs the job in, so a timed-out job's
+// child can be killed. BullMQ has no public way to get it: this swaps out the private
+// ChildPool#retain, which BullMQ's sandbox calls synchronously before its first await, so
+// the swap only ever sees this job's child. Tested against BullMQ 5.58.4, and package.json
+// only allows its patch releases; testSandboxChild in test-scenarios.js fails when an
+// upgrade changes this.
+// Returns { running, child }: the processor's promise and a promise of the child (or undefined).
+function callWithSandboxChild(childPool, call) {
+  const ownRetain = Object.prototype.hasOwnProperty.call(childPool, 'retain');
+  const retain = childPool.retain;
+  let child;
+
+  childPool.retain = (...args) => (child = retain.apply(childPool, args));
+  try {
+    return { running: call(), child };
+  } finally {
+    if (ownRetain) {
+      childPool.retain = retain;
+    } else {
+      delete childPool.retain;
+    }
+  }
+}
+
+// Worker that applies the queue definition's processing policies around every job.
+// Hooks into callProcessJob so in-process and sandboxed processors behave the same.
+class QueueWorker extends Worker {
+  constructor(definition, processor, opts) {
+    super(definition.name, processor, opts);
+    this.definition = definition;
+  }
+
+  async callProcessJob(job, token) {
+    const { groupLimiter } = this.definition.worker;
+    const groupKey = groupLimiter ? getGroupKey(groupLimiter, job) : null;
+
+    // Per-key limit: park the job until its group has capacity again
+    if (groupKey) {
+      const wait = await acquireGroupSlot(this, groupLimiter, groupKey);
+      if (wait > 0) {
+        await job.moveToDelayed(Date.now() + wait, token);
+        throw new DelayedError();
+      }
+    }
+
+    // Firings of a schedule inside one of its calendars' blackout windows are skipped or shifted
+    if (job.repeatJobKey) {
+      const blackout = await checkBlackout(job);
+      if (blackout) {
+        return this.handleBlackout(job, token, blackout);
+      }
+    }
+
+    if (job.attemptsMade > 0) {
+      await job.log(`Retry attempt ${job.attemptsMade + 1} started at ${new Date().toISOString()}`);
+    }
+
+    try {
+      return await this.runProcessor(job, token);
+    } catch (error) {
+      if (error.name === 'UpstreamRateLimitError') {
+        return this.handleUpstreamRateLimit(job, token, error, groupKey);
+      }
+
+      // Errors the queue's retry policy marks as permanent skip the remaining attempts
+      if (error.name !== 'UnrecoverableError' && !isRetryable(this.definition.worker.retryPolicy, error)) {
+        throw toUnrecoverable(error);
+      }
+      throw error;
+    }
+  }
+
+  // Run the processor with an AbortSignal and fail the job with a TimeoutError once its
+  // timeout passes, killing the sandbox child that runs it so a hung job cannot hold it
+  async runProcessor(job, token) {
+    const timeout = getJobTimeout(job, this.definition.worker.timeout);
+    let child;
+
+    const run = (signal) => {
+      if (!this.childPool) {
+        return this.processFn(job, token, signal);
+      }
+
+      const call = callWithSandboxChild(this.childPool, () => this.processFn(job, token));
+      child = call.child;
+      return call.running;
+    };
+
+    return runWithTimeout(timeout, run, async (error) => {
+      await job.log(error.message);
+
+      const timedOutChild = child && await child.catch(() => null);
+      if (timedOutChild) {
+        await this.childPool.kill(timedOutChild);
+      }
+    });
+  }
+
+  // Skip a blacked-out firing by completing it without running the processor,
+  // or shift it by delaying the job until the blackout window ends
+  async handleBlackout(job, token, { policy, ...window }) {
+    const blackout = {
+      calendar: window.calendar,
+      label: window.label,
+      start: new Date(window.start).toISOString(),
+      end: new Date(window.end).toISOString(),
+      policy,
+    };
+    const description = `blackout '${blackout.calendar}'${blackout.label ? ` (${blackout.label})` : ''} until ${blackout.end}`;
+
+    if (policy === 'shift') {
+      await job.log(`Firing shifted past ${description}`);
+      await recordShiftedRun(job, blackout);
+      await job.moveToDelayed(window.end, token);
+      throw new DelayedError();
+    }
+
+    await job.log(`Firing skipped for ${description}`);
+    return { skipped: true, blackout };
+  }
+
+  // Back off after the processor reported an upstream 429, without spending an attempt
+  async handleUpstreamRateLimit(job, token, error, groupKey) {
+    const { groupLimiter } = this.definition.worker;
+    const retryAfter = error.retryAfter || 1000;
+    const key = error.key || groupKey;
+
+    await job.log(`Upstream rate limit: ${error.message}, retrying in ${retryAfter}ms`);
+
+    if (groupLimiter && key) {
+      await blockGroup(this, groupLimiter, key, retryAfter);
+      await job.moveToDelayed(Date.now() + retryAfter, token);
+      throw new DelayedError();
+    }
+
+    await this.rateLimit(retryAfter);
+    throw Worker.RateLimitError();
+  }
+}
+
+module.exports = {
+  QueueWorker,
+  callWithSandboxChild,
+};
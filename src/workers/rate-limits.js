@@ -0,0 +1,115 @@
+// Per-key rate limiting on top of BullMQ's queue-wide limiter.
+// Counters live next to the queue's own keys: <prefix>:<queue>:group-limit:<groupKey>
+
+// Read a dot-separated path (e.g. "request.url") from job data
+function getByPath(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Extract the rate-limit group of a job from the configured data field
+function getGroupKey(groupLimiter, job) {
+  const value = getByPath(job.data || {}, groupLimiter.field);
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  // Values without a URL have no host and are only subject to the queue-wide limiter
+  if (groupLimiter.keyType === 'host') {
+    const match = String(value).match(/[a-z][a-z0-9+.-]*:\/\/([^/\s?#]+)/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  return String(value);
+}
+
+function groupLimitKey(queueBase, groupKey) {
+  return `${queueBase.qualifiedName}:group-limit:${groupKey}`;
+}
+
+// Count a job against its group; returns the ms to wait when the group is over its limit
+async function acquireGroupSlot(worker, groupLimiter, groupKey) {
+  const client = await worker.client;
+  const key = groupLimitKey(worker, groupKey);
+
+  const [, [, count], [, ttl]] = await client.multi()
+    .set(key, 0, 'PX', groupLimiter.duration, 'NX')
+    .incr(key)
+    .pttl(key)
+    .exec();
+
+  return count > groupLimiter.max ? Math.max(ttl, 1) : 0;
+}
+
+// Block a single group for the given time (e.g. after an upstream 429)
+async function blockGroup(worker, groupLimiter, groupKey, duration) {
+  const client = await worker.client;
+  await client.set(groupLimitKey(worker, groupKey), groupLimiter.max, 'PX', duration);
+}
+
+// Current queue-wide and per-group limiter state of a queue
+async function getRateLimitState(queue, definition) {
+  const { limiter, groupLimiter } = definition.worker || {};
+
+  if (!limiter && !groupLimiter) {
+    return null;
+  }
+
+  const client = await queue.client;
+  const state = {};
+
+  if (limiter) {
+    const [count, timeToReset, windowTtl] = await Promise.all([
+      client.get(queue.keys.limiter),
+      queue.getRateLimitTtl(limiter.max),
+      queue.getRateLimitTtl(),
+    ]);
+
+    state.limiter = {
+      max: limiter.max,
+      duration: limiter.duration,
+      count: parseInt(count) || 0,
+      limited: timeToReset > 0,
+      timeToReset: Math.max(timeToReset, 0),
+      windowResetsIn: Math.max(windowTtl, 0),
+    };
+  }
+
+  if (groupLimiter) {
+    const groups = [];
+    const pattern = groupLimitKey(queue, '*');
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = nextCursor;
+
+      for (const key of keys) {
+        const [count, ttl] = await Promise.all([client.get(key), client.pttl(key)]);
+        groups.push({
+          key: key.slice(pattern.length - 1),
+          count: parseInt(count) || 0,
+          limited: (parseInt(count) || 0) >= groupLimiter.max,
+          timeToReset: Math.max(ttl, 0),
+        });
+      }
+    } while (cursor !== '0' && groups.length < 1000);
+
+    state.groupLimiter = {
+      field: groupLimiter.field,
+      keyType: groupLimiter.keyType || 'value',
+      max: groupLimiter.max,
+      duration: groupLimiter.duration,
+      groups,
+    };
+  }
+
+  return state;
+}
+
+module.exports = {
+  getGroupKey,
+  acquireGroupSlot,
+  blockGroup,
+  getRateLimitState,
+};
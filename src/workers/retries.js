@@ -0,0 +1,110 @@
+const { UnrecoverableError } = require('bullmq');
+const chalk = require('chalk');
+
+// Error names that fail a job for good, whatever the queue's policy adds
+const DEFAULT_PERMANENT_ERRORS = ['ValidationError'];
+
+// Upper bound of the jittered strategies when no maxDelay is given (1 hour)
+const DEFAULT_MAX_DELAY = 60 * 60 * 1000;
+
+// Deterministic random numbers per job, so a strategy that depends on earlier
+// delays can recompute them on every attempt without storing them
+function seededRandom(seed) {
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Backoff strategies selected with backoff.type; BullMQ handles 'fixed' and 'exponential' itself.
+// Each gets the job's backoff options and the number of the attempt that just failed.
+const BACKOFF_STRATEGIES = {
+  // Full jitter: a random delay up to delay * 2^(attempt - 1), capped at maxDelay
+  'exponential-jitter': ({ delay = 1000, maxDelay = DEFAULT_MAX_DELAY }, attemptsMade) => {
+    const ceiling = Math.min(maxDelay, delay * 2 ** (attemptsMade - 1));
+    return Math.round(Math.random() * ceiling);
+  },
+
+  // Decorrelated jitter: a random delay between delay and three times the previous one
+  'decorrelated-jitter': ({ delay = 1000, maxDelay = DEFAULT_MAX_DELAY }, attemptsMade, job) => {
+    const random = seededRandom(`${job.queueName}:${job.id}`);
+    let sleep = delay;
+    for (let attempt = 1; attempt <= attemptsMade; attempt++) {
+      sleep = Math.min(maxDelay, delay + random() * (sleep * 3 - delay));
+    }
+    return Math.round(sleep);
+  },
+
+  // Fixed schedule: retry n waits delays[n - 1], the last entry repeats
+  schedule: ({ delays = [] }, attemptsMade) => {
+    return delays.length > 0 ? delays[Math.min(attemptsMade, delays.length) - 1] : 0;
+  },
+};
+
+const BACKOFF_TYPES = ['fixed', 'exponential', ...Object.keys(BACKOFF_STRATEGIES)];
+
+// Worker settings.backoffStrategy: dispatch to the named strategy of the job's backoff
+function backoffStrategy(attemptsMade, type, error, job) {
+  const strategy = BACKOFF_STRATEGIES[type];
+
+  if (!strategy) {
+    // -1 tells BullMQ not to retry
+    console.error(chalk.red(`❌ Unknown backoff strategy '${type}' for job ${job.id}, not retrying`));
+    return -1;
+  }
+
+  return strategy(job.opts.backoff || {}, attemptsMade, job);
+}
+
+// Decide from a queue's retry policy ({ permanent, retryable } lists of error names)
+// whether a failed attempt may be retried
+function isRetryable(policy = {}, error) {
+  const name = error && error.name;
+
+  if (DEFAULT_PERMANENT_ERRORS.includes(name) || (policy.permanent || []).includes(name)) {
+    return false;
+  }
+  return policy.retryable ? policy.retryable.includes(name) : true;
+}
+
+// Wrap a permanent failure so BullMQ skips the remaining attempts; the failed reason stays the same
+function toUnrecoverable(error) {
+  const permanent = new UnrecoverableError(error.message);
+  permanent.stack = error.stack;
+  permanent.cause = error;
+  return permanent;
+}
+
+// Record a failed attempt in the job logs, with when (or whether) it will be retried.
+// Called after BullMQ moved the job: finishedOn is only set when it will not be retried.
+async function logFailedAttempt(job, error) {
+  const now = Date.now();
+  const attempts = job.opts.attempts || 1;
+  let outcome;
+
+  if (!job.finishedOn) {
+    const delay = job.opts.backoff ? job.delay || 0 : 0;
+    outcome = `retry scheduled for ${new Date(now + delay).toISOString()} (in ${delay}ms)`;
+  } else if (job.attemptsMade < attempts) {
+    outcome = 'permanent failure, not retried';
+  } else {
+    outcome = 'no attempts left';
+  }
+
+  await job.log(`Attempt ${job.attemptsMade}/${attempts} failed at ${new Date(now).toISOString()}: ${error.message}; ${outcome}`);
+}
+
+module.exports = {
+  BACKOFF_TYPES,
+  backoffStrategy,
+  isRetryable,
+  toUnrecoverable,
+  logFailedAttempt,
+};
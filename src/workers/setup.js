@@ -1,16 +1,20 @@
-const { Worker, JobScheduler } = require('bullmq');
+const path = require('path');
+const { JobScheduler, MetricsTime } = require('bullmq');
 const config = require('../../config');
 const chalk = require('chalk');
-const { getQueues } = require('../queues/setup');
+const { getQueueDefinitions } = require('../queues/registry');
+const { loadProcessor, resolveProcessorPath } = require('../processors/loader');
+const { QueueWorker } = require('./queue-worker');
+const { recordJobMetrics } = require('../monitor/metrics');
+const { moveToDeadLetter } = require('../dlq/setup');
+const { backoffStrategy, logFailedAttempt } = require('./retries');
+const { recordScheduleRun } = require('../scheduler/history');
 
-// Worker instances
-let emailWorker;
-let imageProcessingWorker;
-let priorityWorker;
-let delayedWorker;
-let recurringWorker;
-let dependencyWorker;
-let rateLimitedWorker;
+// Entry file loaded by sandboxed workers
+const SANDBOX_PROCESSOR_FILE = path.join(__dirname, '../processors/sandbox.js');
+
+// Worker instances keyed by queue alias
+const workers = new Map();
 
 // Queue schedulers for rate limiting
 let rateLimitScheduler;
@@ -26,247 +30,238 @@ async function setupWorkers() {
   try {
     console.log(chalk.blue('👷 Setting up BullMQ workers...'));
 
-    const queues = getQueues();
-
-    // 1. Email Worker with retry logic
-    emailWorker = new Worker('email-queue', async (job) => {
-      console.log(chalk.cyan(`📧 Processing email job ${job.id}`));
-      
-      // Simulate email processing
-      await simulateWork(2000);
-      
-      // Simulate occasional failures
-      if (Math.random() < 0.1) {
-        throw new Error('Email service temporarily unavailable');
+    for (const definition of getQueueDefinitions()) {
+      if (definition.worker) {
+        createWorker(definition);
       }
-      
-      return {
-        status: 'sent',
-        recipient: job.data.recipient,
-        subject: job.data.subject,
-        timestamp: new Date().toISOString(),
-      };
-    }, {
-      connection,
-      concurrency: 3,
-      autorun: true,
-    });
+    }
 
-    // 2. Image Processing Worker with concurrency control
-    imageProcessingWorker = new Worker('image-processing-queue', async (job) => {
-      console.log(chalk.cyan(`🖼️ Processing image job ${job.id}`));
-      
-      const { imageUrl, operations } = job.data;
-      
-      // Simulate image processing
-      await simulateWork(5000);
-      
-      // Simulate different processing operations
-      const processedImage = {
-        originalUrl: imageUrl,
-        processedUrl: `processed_${imageUrl}`,
-        operations: operations || ['resize', 'compress'],
-        metadata: {
-          width: 800,
-          height: 600,
-          size: '2.3MB',
-          format: 'JPEG',
-        },
-      };
-      
-      return processedImage;
-    }, {
+    // Setup rate limiting scheduler
+    rateLimitScheduler = new JobScheduler('rate-limited-queue', {
       connection,
-      concurrency: 2, // Limited concurrency for resource-intensive tasks
-      autorun: true,
     });
 
-    // 3. Priority Worker
-    priorityWorker = new Worker('priority-queue', async (job) => {
-      console.log(chalk.cyan(`⚡ Processing priority job ${job.id} with priority ${job.opts.priority}`));
-      
-      const { task, priority } = job.data;
-      
-      // Simulate priority-based processing
-      await simulateWork(1000);
-      
-      return {
-        task,
-        priority,
-        processedAt: new Date().toISOString(),
-        status: 'completed',
-      };
-    }, {
-      connection,
-      concurrency: 5,
-      autorun: true,
-    });
+    console.log(chalk.green('✅ All workers setup successfully!'));
 
-    // 4. Delayed Worker
-    delayedWorker = new Worker('delayed-queue', async (job) => {
-      console.log(chalk.cyan(`⏰ Processing delayed job ${job.id} (delayed by ${job.opts.delay}ms)`));
-      
-      const { message, scheduledFor } = job.data;
-      
-      // Simulate delayed task processing
-      await simulateWork(1500);
-      
-      return {
-        message,
-        scheduledFor,
-        processedAt: new Date().toISOString(),
-        delay: job.opts.delay,
-      };
-    }, {
-      connection,
-      concurrency: 3,
-      autorun: true,
-    });
+  } catch (error) {
+    console.error(chalk.red('❌ Error setting up workers:'), error);
+    throw error;
+  }
+}
 
-    // 5. Recurring Worker
-    recurringWorker = new Worker('recurring-queue', async (job) => {
-      console.log(chalk.cyan(`🔄 Processing recurring job ${job.id}`));
-      
-      const { task, frequency } = job.data;
-      
-      // Simulate recurring task
-      await simulateWork(1000);
-      
-      return {
-        task,
-        frequency,
-        executedAt: new Date().toISOString(),
-        nextExecution: new Date(Date.now() + 60000).toISOString(), // 1 minute from now
-      };
-    }, {
-      connection,
-      concurrency: 2,
-      autorun: true,
-    });
+// Create a worker for a queue definition
+function createWorker(definition) {
+  const { sandbox } = definition.worker;
+  const processorPath = resolveProcessorPath(definition);
 
-    // 6. Dependency Worker
-    dependencyWorker = new Worker('dependency-queue', async (job) => {
-      console.log(chalk.cyan(`🔗 Processing dependency job ${job.id}`));
-      
-      const { task, dependencies } = job.data;
-      
-      // Check if dependencies are completed
-      if (dependencies && dependencies.length > 0) {
-        console.log(chalk.yellow(`📋 Checking dependencies for job ${job.id}`));
-        // In a real scenario, you'd check the status of dependent jobs
-      }
-      
-      // Simulate dependent task processing
-      await simulateWork(2000);
-      
-      return {
-        task,
-        dependencies,
-        processedAt: new Date().toISOString(),
-        status: 'completed',
-      };
-    }, {
-      connection,
-      concurrency: 3,
-      autorun: true,
-    });
+  if (!processorPath) {
+    console.log(chalk.yellow(`⚠️ No processor module found for queue '${definition.name}', skipping worker`));
+    return null;
+  }
 
-    // 7. Rate Limited Worker
-    rateLimitedWorker = new Worker('rate-limited-queue', async (job) => {
-      console.log(chalk.cyan(`🚦 Processing rate-limited job ${job.id}`));
-      
-      const { apiCall, rateLimit } = job.data;
-      
-      // Simulate API call with rate limiting
-      await simulateWork(1000);
-      
-      return {
-        apiCall,
-        rateLimit,
-        processedAt: new Date().toISOString(),
-        status: 'success',
-      };
-    }, {
-      connection,
-      concurrency: 1, // Single concurrency for rate limiting
-      autorun: true,
-    });
+  // Sandboxed workers load the handlers in a child process or worker thread
+  const processor = sandbox ? SANDBOX_PROCESSOR_FILE : loadProcessor(definition);
 
-    // Setup rate limiting scheduler
-    rateLimitScheduler = new JobScheduler('rate-limited-queue', {
-      connection,
-    });
+  const worker = new QueueWorker(definition, processor, {
+    connection,
+    concurrency: definition.worker.concurrency,
+    limiter: definition.worker.limiter,
+    // Named backoff types beyond BullMQ's fixed/exponential
+    settings: { backoffStrategy },
+    autorun: true,
+    // Built-in per-minute completed/failed counters
+    metrics: {
+      maxDataPoints: MetricsTime.ONE_WEEK,
+    },
+    ...getSandboxOptions(definition, processorPath),
+  });
 
-    console.log(chalk.green('✅ All workers setup successfully!'));
+  workers.set(definition.alias, worker);
 
-    // Setup worker event listeners
-    setupWorkerEventListeners();
+  // Setup worker event listeners
+  setupWorkerEventListeners(worker, definition);
 
-  } catch (error) {
-    console.error(chalk.red('❌ Error setting up workers:'), error);
-    throw error;
+  return worker;
+}
+
+// Translate a queue's sandbox settings into BullMQ worker options
+function getSandboxOptions(definition, processorPath) {
+  const { sandbox, timeout } = definition.worker;
+  if (!sandbox) {
+    return {};
+  }
+
+  const env = {
+    ...process.env,
+    SANDBOX_PROCESSOR_PATH: processorPath,
+    ...(timeout && { SANDBOX_JOB_TIMEOUT: String(timeout) }),
+  };
+
+  if (sandbox.mode === 'thread') {
+    return {
+      useWorkerThreads: true,
+      workerThreadsOptions: {
+        env,
+        ...(sandbox.maxMemoryMb && { resourceLimits: { maxOldGenerationSizeMb: sandbox.maxMemoryMb } }),
+      },
+    };
   }
+
+  return {
+    workerForkOptions: {
+      env,
+      ...(sandbox.maxMemoryMb && { execArgv: [`--max-old-space-size=${sandbox.maxMemoryMb}`] }),
+    },
+  };
 }
 
-function setupWorkerEventListeners() {
-  const workers = [
-    { name: 'Email', worker: emailWorker },
-    { name: 'Image Processing', worker: imageProcessingWorker },
-    { name: 'Priority', worker: priorityWorker },
-    { name: 'Delayed', worker: delayedWorker },
-    { name: 'Recurring', worker: recurringWorker },
-    { name: 'Dependency', worker: dependencyWorker },
-    { name: 'Rate Limited', worker: rateLimitedWorker },
-  ];
-
-  workers.forEach(({ name, worker }) => {
-    worker.on('completed', (job) => {
-      console.log(chalk.green(`✅ [${name} Worker] Job ${job.id} completed successfully`));
-    });
+function setupWorkerEventListeners(worker, definition) {
+  const name = definition.label;
 
-    worker.on('failed', (job, err) => {
-      console.log(chalk.red(`❌ [${name} Worker] Job ${job.id} failed: ${err.message}`));
-    });
+  worker.on('completed', (job) => {
+    console.log(chalk.green(`✅ [${name} Worker] Job ${job.id} completed successfully`));
+    recordMetrics(worker, job);
+    recordRun(job, 'completed');
+  });
 
-    worker.on('error', (err) => {
-      console.log(chalk.red(`💥 [${name} Worker] Error: ${err.message}`));
-    });
+  worker.on('failed', (job, err) => {
+    console.log(chalk.red(`❌ [${name} Worker] Job ${job.id} failed: ${err.message}`));
+    recordMetrics(worker, job);
+    if (job.finishedOn) {
+      recordRun(job, 'failed');
+    }
 
-    worker.on('stalled', (job) => {
-      console.log(chalk.orange(`⚠️ [${name} Worker] Job ${job.id} stalled`));
-    });
+    // The attempt is logged first so dead letters carry the complete log
+    logFailedAttempt(job, err)
+      .catch((error) => {
+        console.error(chalk.red(`❌ Error logging failed attempt of job ${job.id}:`), error.message);
+      })
+      .then(() => {
+        // finishedOn is only set once the job will not be retried
+        if (definition.deadLetter && job.finishedOn) {
+          return moveToDeadLetter(definition, job).catch((error) => {
+            console.error(chalk.red(`❌ Error dead-lettering job ${job.id}:`), error.message);
+          });
+        }
+      });
+  });
+
+  worker.on('error', (err) => {
+    console.log(chalk.red(`💥 [${name} Worker] Error: ${err.message}`));
+  });
+
+  worker.on('stalled', (job) => {
+    console.log(chalk.orange(`⚠️ [${name} Worker] Job ${job.id} stalled`));
   });
 }
 
-// Utility function to simulate work
-function simulateWork(duration) {
-  return new Promise((resolve) => {
-    setTimeout(resolve, duration);
+// Persist job timings without letting metric errors affect processing
+function recordMetrics(worker, job) {
+  recordJobMetrics(worker, job).catch((error) => {
+    console.error(chalk.red(`❌ Error recording metrics for job ${job && job.id}:`), error.message);
   });
 }
 
-// Get all workers
+// Add jobs fired by a schedule to its run history
+function recordRun(job, state) {
+  if (!job.repeatJobKey) {
+    return;
+  }
+
+  recordScheduleRun(job, state).catch((error) => {
+    console.error(chalk.red(`❌ Error recording schedule run of job ${job.id}:`), error.message);
+  });
+}
+
+// Get the status of every worker, including sandbox child PIDs
+function getWorkerStatus() {
+  const status = {};
+
+  for (const definition of getQueueDefinitions()) {
+    const worker = workers.get(definition.alias);
+    if (!worker) {
+      continue;
+    }
+
+    const { sandbox } = definition.worker;
+    const childPool = worker.childPool;
+
+    status[definition.alias] = {
+      queue: definition.name,
+      running: worker.isRunning(),
+      paused: worker.isPaused(),
+      concurrency: worker.concurrency,
+      sandbox: sandbox ? sandbox.mode || 'process' : null,
+      pid: process.pid,
+      children: childPool ? {
+        busy: Object.values(childPool.retained).map(child => child.pid),
+        idle: childPool.getAllFree().map(child => child.pid),
+      } : null,
+    };
+  }
+
+  return status;
+}
+
+// Close and forget the worker of a queue
+async function removeWorker(alias) {
+  const worker = workers.get(alias);
+
+  if (!worker) {
+    return false;
+  }
+
+  await worker.close();
+  workers.delete(alias);
+  console.log(chalk.yellow(`🔒 Closed ${alias} worker`));
+  return true;
+}
+
+// Get all workers keyed by queue alias
 function getWorkers() {
+  return Object.fromEntries(workers);
+}
+
+// Stop fetching new jobs and wait for active ones to finish, up to timeout ms
+async function drainWorkers(timeout) {
+  const draining = Array.from(workers.entries());
+
+  await Promise.all(draining.map(([, worker]) => worker.pause(true)));
+  console.log(chalk.yellow(`⏸️ Paused ${draining.length} workers, waiting for active jobs...`));
+
+  let timer;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeout, false);
+  });
+  const drained = Promise.all(draining.map(async ([alias, worker]) => {
+    await worker.close();
+    workers.delete(alias);
+    console.log(chalk.yellow(`🔒 Closed ${alias} worker`));
+  })).then(() => true);
+
+  const completed = await Promise.race([drained, expired]);
+  clearTimeout(timer);
+
+  if (!completed) {
+    console.log(chalk.red(`⌛ Timed out after ${timeout}ms waiting for workers: ${Array.from(workers.keys()).join(', ')}`));
+  }
+
+  if (rateLimitScheduler) {
+    await rateLimitScheduler.close();
+  }
+
   return {
-    emailWorker,
-    imageProcessingWorker,
-    priorityWorker,
-    delayedWorker,
-    recurringWorker,
-    dependencyWorker,
-    rateLimitedWorker,
+    drained: completed,
+    remaining: Array.from(workers.keys()),
   };
 }
 
 // Clean up workers
 async function cleanupWorkers() {
   try {
-    const workers = getWorkers();
-    for (const [name, worker] of Object.entries(workers)) {
-      if (worker) {
-        await worker.close();
-        console.log(chalk.yellow(`🔒 Closed ${name}`));
-      }
+    for (const [name, worker] of workers) {
+      await worker.close();
+      console.log(chalk.yellow(`🔒 Closed ${name} worker`));
     }
     if (rateLimitScheduler) {
       await rateLimitScheduler.close();
@@ -279,6 +274,10 @@ async function cleanupWorkers() {
 
 module.exports = {
   setupWorkers,
+  createWorker,
+  removeWorker,
   getWorkers,
+  getWorkerStatus,
+  drainWorkers,
   cleanupWorkers,
 };
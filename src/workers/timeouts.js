@@ -0,0 +1,52 @@
+const { TimeoutError } = require('../processors/errors');
+
+// Timeout of a job in ms: its own `timeout` option (set per job or through the
+// queue's defaultJobOptions), else the worker's default; null when there is none
+function getJobTimeout(job, defaultTimeout) {
+  const timeout = (job.opts && job.opts.timeout) || defaultTimeout;
+  return Number.isInteger(timeout) && timeout > 0 ? timeout : null;
+}
+
+// AbortSignal that aborts with a TimeoutError once timeout ms pass (never without a timeout)
+function createTimeoutSignal(timeout) {
+  const controller = new AbortController();
+  const timer = timeout
+    ? setTimeout(() => controller.abort(new TimeoutError(`Job timed out after ${timeout}ms`, { timeout })), timeout)
+    : null;
+
+  return {
+    signal: controller.signal,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+// Call run(signal) and reject with the TimeoutError as soon as the signal aborts,
+// even if the processor ignores it; onTimeout runs before the rejection
+async function runWithTimeout(timeout, run, onTimeout) {
+  const { signal, clear } = createTimeoutSignal(timeout);
+  const running = Promise.resolve().then(() => run(signal));
+  const expired = new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+
+  // Whichever promise loses the race must not surface as an unhandled rejection
+  running.catch(() => {});
+  expired.catch(() => {});
+
+  try {
+    return await Promise.race([running, expired]);
+  } catch (error) {
+    if (error === signal.reason && onTimeout) {
+      await onTimeout(error);
+    }
+    throw error;
+  } finally {
+    clear();
+  }
+}
+
+module.exports = {
+  getJobTimeout,
+  createTimeoutSignal,
+  runWithTimeout,
+};